@@ -4,11 +4,53 @@
  * Wires together all modules and binds DOM events.
  */
 
-import { loadImage } from './imageLoader.js';
-import { getButtonSize } from './buttonSizes.js';
+import {
+  getButtonSize,
+  getAllButtonSizes,
+  getCustomSizes,
+  setCustomSizes,
+  validateButtonSize,
+  CUSTOM_SIZE_PREFIX,
+} from './buttonSizes.js';
 import { CanvasController } from './canvasController.js';
-import { generatePrintLayout, renderPrintLayout, renderTestSheet, US_LETTER } from './printGenerator.js';
-import { PIXELS_PER_INCH } from './measurementConverter.js';
+import { DesignQueue } from './designQueue.js';
+import { EditHistory } from './editHistory.js';
+import {
+  generatePrintJob,
+  renderPrintJob,
+  renderTestSheet,
+  createButtonCanvas,
+  getReferenceLineLengths,
+  OFFSET_TARGET_INSET,
+  REGISTRATION_MARK_SIZE,
+} from './printGenerator.js';
+import { PAPER_SIZES, US_LETTER, createPaperSize, validatePaperSize } from './paperSizes.js';
+import { getLayoutOptions, pickBestLayout, DEFAULT_CUTTER_GAP } from './layoutOptimizer.js';
+import { PIXELS_PER_INCH, toCalibration, inchesToPixels, pixelsToInches } from './measurementConverter.js';
+import { createPrintJobPdf } from './pdfExport.js';
+import { createButtonPng, createSheetSvg } from './imageExport.js';
+import { TEXT_FONTS } from './textLayers.js';
+import { BACKGROUND_TYPES } from './backgroundFill.js';
+import { BUTTON_SHAPES, getShape, getGuideSizes } from './buttonShapes.js';
+import { checkDesign } from './preflight.js';
+import { createNameBatch, expandNameBatch, getBatchTemplate, MIN_FONT_SIZE } from './personalization.js';
+import {
+  createProjectData,
+  serializeProject,
+  parseProject,
+  migrateProject,
+  loadProjectDesigns,
+} from './projectFile.js';
+import {
+  isSessionStoreAvailable,
+  saveSession,
+  loadSession,
+  clearSession,
+  saveRecentDesign,
+  getRecentDesigns,
+  recentDesignKey,
+} from './sessionStore.js';
+import { loadImage, loadImageFromUrl, getDroppedFiles } from './imageLoader.js';
 import {
   isStorageAvailable,
   savePrinterSettings,
@@ -16,7 +58,14 @@ import {
   saveCalibration,
   loadCalibration,
   clearCalibration,
-  getCalibrationFactor,
+  getCalibrationFactors,
+  getPrinterProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  createPrinterProfile,
+  deletePrinterProfile,
+  saveCustomSizes,
+  loadCustomSizes,
 } from './settingsManager.js';
 
 /* ============================================================
@@ -24,32 +73,158 @@ import {
    ============================================================ */
 
 const imageInput = document.getElementById('image-input');
+const imageDropZone = document.getElementById('image-drop-zone');
+const importFitSelect = document.getElementById('import-fit');
+const importQuantityInput = document.getElementById('import-quantity');
 const fileLabelText = document.getElementById('file-label-text');
 const imageError = document.getElementById('image-error');
+const designQueueEl = document.getElementById('design-queue');
+const designList = document.getElementById('design-list');
+const designStrip = document.getElementById('design-strip');
+const projectInput = document.getElementById('project-input');
+const saveProjectBtn = document.getElementById('save-project-btn');
+const restoreBanner = document.getElementById('restore-banner');
+const restoreMessage = document.getElementById('restore-message');
+const restoreSessionBtn = document.getElementById('restore-session-btn');
+const dismissRestoreBtn = document.getElementById('dismiss-restore-btn');
+const recentDesignsEl = document.getElementById('recent-designs');
+const recentDesignList = document.getElementById('recent-design-list');
 const canvasEl = document.getElementById('button-canvas');
 const canvasPlaceholder = document.getElementById('canvas-placeholder');
 const imageControls = document.getElementById('image-controls');
 const printControls = document.getElementById('print-controls');
 const scaleSlider = document.getElementById('scale-slider');
 const scaleValue = document.getElementById('scale-value');
+const offsetXInput = document.getElementById('offset-x');
+const offsetYInput = document.getElementById('offset-y');
+const canvasStatus = document.getElementById('canvas-status');
+const rotationSlider = document.getElementById('rotation-slider');
+const rotationValue = document.getElementById('rotation-value');
+const rotateLeftBtn = document.getElementById('rotate-left-btn');
+const rotateRightBtn = document.getElementById('rotate-right-btn');
+const flipHBtn = document.getElementById('flip-h-btn');
+const flipVBtn = document.getElementById('flip-v-btn');
+const fitButtons = {
+  'fill-cut': document.getElementById('fit-cut-btn'),
+  'fit-face': document.getElementById('fit-face-btn'),
+  'fit-safe': document.getElementById('fit-safe-btn'),
+  'fit-width': document.getElementById('fit-width-btn'),
+  'fit-height': document.getElementById('fit-height-btn'),
+};
+const smartCenterBtn = document.getElementById('smart-center-btn');
+const backgroundTypeSelect = document.getElementById('background-type');
+const backgroundColors = document.getElementById('background-colors');
+const backgroundColorInput = document.getElementById('background-color');
+const backgroundColor2Label = document.getElementById('background-color2-label');
+const backgroundColor2Input = document.getElementById('background-color2');
+const adjustmentSliders = {
+  brightness: document.getElementById('adjust-brightness'),
+  contrast: document.getElementById('adjust-contrast'),
+  saturation: document.getElementById('adjust-saturation'),
+  grayscale: document.getElementById('adjust-grayscale'),
+  sepia: document.getElementById('adjust-sepia'),
+};
+const duotoneInput = document.getElementById('adjust-duotone');
+const duotoneColors = document.getElementById('duotone-colors');
+const duotoneDarkInput = document.getElementById('duotone-dark');
+const duotoneLightInput = document.getElementById('duotone-light');
+const resetAdjustmentsBtn = document.getElementById('reset-adjustments-btn');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
 const modeResize = document.getElementById('mode-resize');
 const modePreview = document.getElementById('mode-preview');
 const printBtn = document.getElementById('print-btn');
+const exportPdfBtn = document.getElementById('export-pdf-btn');
+const exportPngBtn = document.getElementById('export-png-btn');
+const exportSvgBtn = document.getElementById('export-svg-btn');
+const printCountInput = document.getElementById('print-count');
+const printSummary = document.getElementById('print-summary');
+const layoutSelect = document.getElementById('layout-arrangement');
+const layoutGapInput = document.getElementById('layout-gap');
+const printDpiSelect = document.getElementById('print-dpi');
+const registrationMarksInput = document.getElementById('registration-marks');
+const printPreflightWarnings = document.getElementById('print-preflight-warnings');
 const printInfoToggle = document.getElementById('print-info-toggle');
 const printInstructions = document.getElementById('print-instructions');
 const printLayout = document.getElementById('print-layout');
+const printerProfileSelect = document.getElementById('printer-profile');
+const newProfileBtn = document.getElementById('new-profile-btn');
+const deleteProfileBtn = document.getElementById('delete-profile-btn');
 const printerNameInput = document.getElementById('printer-name');
 const printerNotesInput = document.getElementById('printer-notes');
 const saveSettingsBtn = document.getElementById('save-settings-btn');
 const storageWarning = document.getElementById('storage-warning');
 const printPreview = document.getElementById('print-preview');
-const printPreviewPage = document.getElementById('print-preview-page');
 const canvasContainer = document.getElementById('canvas-container');
 const printTestSheetBtn = document.getElementById('print-test-sheet-btn');
 const calibrationMeasuredInput = document.getElementById('calibration-measured');
+const calibrationMeasuredYInput = document.getElementById('calibration-measured-y');
+const calibrationOffsetRightInput = document.getElementById('calibration-offset-right');
+const calibrationOffsetTopInput = document.getElementById('calibration-offset-top');
 const saveCalibrationBtn = document.getElementById('save-calibration-btn');
 const clearCalibrationBtn = document.getElementById('clear-calibration-btn');
 const calibrationStatus = document.getElementById('calibration-status');
+const calibrationLineLength = document.getElementById('calibration-line-length');
+const calibrationLineLabel = document.getElementById('calibration-line-label');
+const paperSizeSelect = document.getElementById('paper-size');
+const customPaperFields = document.getElementById('custom-paper-fields');
+const paperWidthInput = document.getElementById('paper-width');
+const paperHeightInput = document.getElementById('paper-height');
+const marginInputs = {
+  top: document.getElementById('margin-top'),
+  right: document.getElementById('margin-right'),
+  bottom: document.getElementById('margin-bottom'),
+  left: document.getElementById('margin-left'),
+};
+const paperError = document.getElementById('paper-error');
+const instructionsPaper = document.getElementById('instructions-paper');
+const sizeOptions = document.getElementById('button-size-options');
+const customSizeToggle = document.getElementById('custom-size-toggle');
+const customSizeEditor = document.getElementById('custom-size-editor');
+const customSizeName = document.getElementById('custom-size-name');
+const customSizeShape = document.getElementById('custom-size-shape');
+const customSizeHeights = document.getElementById('custom-size-heights');
+const customSizeFaceHeight = document.getElementById('custom-size-face-height');
+const customSizeCutHeight = document.getElementById('custom-size-cut-height');
+const customSizeContentHeight = document.getElementById('custom-size-content-height');
+const customSizeFace = document.getElementById('custom-size-face');
+const customSizeCut = document.getElementById('custom-size-cut');
+const customSizeContent = document.getElementById('custom-size-content');
+const customSizeMaxRows = document.getElementById('custom-size-max-rows');
+const customSizeLayout = document.getElementById('custom-size-layout');
+const customSizeError = document.getElementById('custom-size-error');
+const saveCustomSizeBtn = document.getElementById('save-custom-size-btn');
+const cancelCustomSizeBtn = document.getElementById('cancel-custom-size-btn');
+const layerControls = document.getElementById('layer-controls');
+const imageLayerList = document.getElementById('image-layer-list');
+const layerInput = document.getElementById('layer-input');
+const layerError = document.getElementById('layer-error');
+const layerEditor = document.getElementById('layer-editor');
+const layerWidthInput = document.getElementById('layer-width');
+const layerOpacityInput = document.getElementById('layer-opacity');
+const textControls = document.getElementById('text-controls');
+const textLayerList = document.getElementById('text-layer-list');
+const addTextBtn = document.getElementById('add-text-btn');
+const textEditor = document.getElementById('text-editor');
+const textContentInput = document.getElementById('text-content');
+const textFontSelect = document.getElementById('text-font');
+const textSizeInput = document.getElementById('text-size');
+const textColorInput = document.getElementById('text-color');
+const textStrokeColorInput = document.getElementById('text-stroke-color');
+const textStrokeWidthInput = document.getElementById('text-stroke-width');
+const textPlacementSelect = document.getElementById('text-placement');
+const textBoldInput = document.getElementById('text-bold');
+const removeTextBtn = document.getElementById('remove-text-btn');
+const textWarning = document.getElementById('text-warning');
+const batchControls = document.getElementById('batch-controls');
+const batchNamesInput = document.getElementById('batch-names');
+const batchCsvInput = document.getElementById('batch-csv-input');
+const batchHeaderInput = document.getElementById('batch-header');
+const applyBatchBtn = document.getElementById('apply-batch-btn');
+const clearBatchBtn = document.getElementById('clear-batch-btn');
+const batchError = document.getElementById('batch-error');
+const batchSummary = document.getElementById('batch-summary');
+const batchPreview = document.getElementById('batch-preview');
 
 /* ============================================================
    State
@@ -57,30 +232,133 @@ const calibrationStatus = document.getElementById('calibration-status');
 
 let controller = null;
 let currentSizeKey = '1.25';
+/** @type {import('./paperSizes').PaperSize} */
+let currentPaper = US_LETTER;
+const queue = new DesignQueue();
+const editHistory = new EditHistory();
+/** Key of the custom size open in the editor, or null when adding a new one */
+let editingSizeKey = null;
+/** Pending autosave timer */
+let autosaveTimer = null;
+/** Saved session awaiting the user's answer to the restore offer */
+let pendingRestore = null;
+/** Whether the startup check for a saved session has finished */
+let sessionChecked = false;
+/** Pending redraw of the name batch preview */
+let batchPreviewTimer = null;
+/**
+ * Names that don't fit, by personalized design id. Counted when batches
+ * are expanded (the debounced preview and print jobs), so pre-flight
+ * checks during a drag don't re-fit every name.
+ * @type {Map<number, number>}
+ */
+const batchOverflow = new Map();
+/** Pending redraw of the design strip */
+let designStripTimer = null;
+/** Pending rebuild of the pre-flight warning list */
+let preflightTimer = null;
+/**
+ * Design strip thumbnails by the image state they were drawn from, so
+ * only designs edited since are redrawn.
+ * @type {WeakMap<import('./canvasController').ImageState, { buttonSize: import('./buttonSizes').ButtonSize, canvas: HTMLCanvasElement }>}
+ */
+const stripThumbnails = new WeakMap();
+
+/** Quiet period after the last edit before autosaving, in ms */
+const AUTOSAVE_DELAY = 1000;
+/** Resolution of recent-design thumbnails */
+const THUMBNAIL_DPI = 32;
+/** Quiet period after the last edit before redrawing the name batch preview, in ms */
+const BATCH_PREVIEW_DELAY = 300;
+/** Quiet period after the last edit before redrawing the design strip, in ms */
+const DESIGN_STRIP_DELAY = 300;
+/** Quiet period after the last edit before re-checking every queued design, in ms */
+const PREFLIGHT_DELAY = 300;
+/** Resolution of the name batch preview buttons */
+const BATCH_PREVIEW_DPI = 64;
+/** Print quality and margins for profiles that haven't saved their own */
+const DEFAULT_PRINT_DPI = 300;
+const DEFAULT_MARGIN = 0.5;
 
 /* ============================================================
    Initialization
    ============================================================ */
 
 function init() {
+  // Register user-defined sizes before anything looks sizes up
+  setCustomSizes(loadCustomSizes());
+  renderSizeOptions();
+
   // Initialize canvas controller
   controller = new CanvasController(canvasEl);
   controller.setButtonSize(getButtonSize(currentSizeKey));
 
   // Keep slider in sync when user zooms with mouse wheel
-  controller.onScaleChange = () => syncSlider();
+  controller.onScaleChange = () => {
+    syncSlider();
+    updatePreflight();
+  };
+
+  // Text dragged or selected on the canvas
+  controller.onTextLayersChange = renderTextControls;
+
+  // Selected image layer zoomed on the canvas
+  controller.onImageLayersChange = renderLayerControls;
+
+  // Record history and autosave after edits on the canvas
+  controller.onChange = (mergeKey) => {
+    recordHistory(mergeKey);
+    scheduleAutosave();
+    updatePreflight();
+    syncOffsets();
+    scheduleBatchPreview();
+    scheduleDesignStrip();
+  };
+
+  // Keyboard control of the canvas
+  controller.onKeyboardEdit = announcePosition;
+  controller.onModeToggle = handleModeToggleKey;
+
+  BACKGROUND_TYPES.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    backgroundTypeSelect.appendChild(option);
+  });
+
+  TEXT_FONTS.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    textFontSelect.appendChild(option);
+  });
+
+  BUTTON_SHAPES.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    customSizeShape.appendChild(option);
+  });
 
   // Storage availability
   if (!isStorageAvailable()) {
     storageWarning.hidden = false;
   }
 
-  // Restore saved settings
+  // Restore the active printer profile
+  renderProfileOptions();
   restoreSettings();
   restoreCalibration();
 
   // Bind events
   bindEvents();
+  editHistory.reset(captureEditorState());
+
+  // Offer the last autosaved session and list recent designs
+  if (isSessionStoreAvailable()) {
+    offerSessionRestore();
+    renderRecentDesigns();
+  }
 }
 
 /* ============================================================
@@ -88,28 +366,109 @@ function init() {
    ============================================================ */
 
 function bindEvents() {
-  // Image loading
+  // Image loading, from the file picker or dropped files and folders
   imageInput.addEventListener('change', handleImageSelect);
-
-  // Button size radios
-  document.querySelectorAll('input[name="button-size"]').forEach((radio) => {
-    radio.addEventListener('change', handleSizeChange);
+  imageDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    imageDropZone.classList.add('drag-over');
   });
+  imageDropZone.addEventListener('dragleave', () => imageDropZone.classList.remove('drag-over'));
+  imageDropZone.addEventListener('drop', handleImageDrop);
+
+  // Project files
+  projectInput.addEventListener('change', handleOpenProject);
+  saveProjectBtn.addEventListener('click', handleSaveProject);
+
+  // Undo / redo
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  document.addEventListener('keydown', handleHistoryKeys);
+
+  // Session restore
+  restoreSessionBtn.addEventListener('click', handleRestoreSession);
+  dismissRestoreBtn.addEventListener('click', dismissRestore);
+
+  // Custom button sizes (the size radios are bound in renderSizeOptions)
+  customSizeToggle.addEventListener('click', () => openSizeEditor(null));
+  customSizeShape.addEventListener('change', syncCustomSizeShape);
+  saveCustomSizeBtn.addEventListener('click', handleSaveCustomSize);
+  cancelCustomSizeBtn.addEventListener('click', closeSizeEditor);
 
   // Scale slider
   scaleSlider.addEventListener('input', handleScaleChange);
+  offsetXInput.addEventListener('change', handleOffsetChange);
+  offsetYInput.addEventListener('change', handleOffsetChange);
+
+  // Rotate / flip
+  rotationSlider.addEventListener('input', handleRotationChange);
+  rotateLeftBtn.addEventListener('click', () => rotateBy(-90));
+  rotateRightBtn.addEventListener('click', () => rotateBy(90));
+  flipHBtn.addEventListener('click', () => flipImage('horizontal'));
+  flipVBtn.addEventListener('click', () => flipImage('vertical'));
+
+  // Fit presets
+  Object.entries(fitButtons).forEach(([mode, btn]) => {
+    btn.addEventListener('click', () => fitImage(mode));
+  });
+  smartCenterBtn.addEventListener('click', handleSmartCenter);
+
+  // Background
+  [backgroundTypeSelect, backgroundColorInput, backgroundColor2Input].forEach((input) => {
+    input.addEventListener('input', handleBackgroundChange);
+  });
+
+  // Colour adjustments
+  [...Object.values(adjustmentSliders), duotoneInput, duotoneDarkInput, duotoneLightInput].forEach((input) => {
+    input.addEventListener('input', handleAdjustmentChange);
+  });
+  resetAdjustmentsBtn.addEventListener('click', handleResetAdjustments);
 
   // Mode buttons
   modeResize.addEventListener('click', () => setMode('resize'));
   modePreview.addEventListener('click', () => setMode('preview'));
 
+  // Image layers
+  layerInput.addEventListener('change', handleLayerSelect);
+  layerWidthInput.addEventListener('change', handleLayerEdit);
+  layerOpacityInput.addEventListener('input', handleLayerEdit);
+
+  // Text overlays
+  addTextBtn.addEventListener('click', handleAddText);
+  removeTextBtn.addEventListener('click', handleRemoveText);
+  [
+    textContentInput, textFontSelect, textSizeInput, textColorInput,
+    textStrokeColorInput, textStrokeWidthInput, textPlacementSelect, textBoldInput,
+  ].forEach((input) => input.addEventListener('input', handleTextEdit));
+
+  // Personalized name batches
+  batchCsvInput.addEventListener('change', handleBatchFileSelect);
+  applyBatchBtn.addEventListener('click', handleApplyBatch);
+  clearBatchBtn.addEventListener('click', handleClearBatch);
+
+  // Paper
+  paperSizeSelect.addEventListener('change', handlePaperChange);
+  [paperWidthInput, paperHeightInput, ...Object.values(marginInputs)].forEach((input) => {
+    input.addEventListener('change', handlePaperChange);
+  });
+
   // Print
   printBtn.addEventListener('click', handlePrint);
+  exportPdfBtn.addEventListener('click', handleExportPdf);
+  exportPngBtn.addEventListener('click', handleExportPng);
+  exportSvgBtn.addEventListener('click', handleExportSvg);
+  printCountInput.addEventListener('input', handlePrintCountChange);
+  printDpiSelect.addEventListener('change', updatePreflight);
+  layoutSelect.addEventListener('change', handlePrintCountChange);
+  layoutGapInput.addEventListener('change', handlePrintCountChange);
+  registrationMarksInput.addEventListener('change', handlePrintCountChange);
   printInfoToggle.addEventListener('click', () => {
     printInstructions.hidden = !printInstructions.hidden;
   });
 
-  // Settings
+  // Printer profiles
+  printerProfileSelect.addEventListener('change', handleProfileChange);
+  newProfileBtn.addEventListener('click', handleNewProfile);
+  deleteProfileBtn.addEventListener('click', handleDeleteProfile);
   saveSettingsBtn.addEventListener('click', handleSaveSettings);
 
   // Calibration
@@ -132,296 +491,2171 @@ function bindEvents() {
    ============================================================ */
 
 async function handleImageSelect(e) {
-  const file = e.target.files[0];
-  if (!file) return;
+  const files = [...e.target.files];
+  // Allow the same files to be added again as separate designs
+  imageInput.value = '';
+  await addImageFiles(files);
+}
 
-  hideError();
+async function handleImageDrop(e) {
+  e.preventDefault();
+  imageDropZone.classList.remove('drag-over');
 
+  hideError();
+  let files;
   try {
-    const img = await loadImage(file);
-    fileLabelText.textContent = file.name;
-
-    // Show canvas, hide placeholder
-    canvasPlaceholder.hidden = true;
-    canvasEl.classList.add('active');
-    imageControls.hidden = false;
-    printControls.hidden = false;
-
-    controller.setButtonSize(getButtonSize(currentSizeKey));
-    controller.setImage(img);
-
-    // Sync slider to initial scale
-    syncSlider();
+    files = await getDroppedFiles(e.dataTransfer);
   } catch (err) {
-    showError(err.message);
-    console.error('Image load error:', err);
+    showError('Could not read the dropped files. Please try again.');
+    console.error('Drop error:', err);
+    return;
   }
+  await addImageFiles(files);
 }
 
-function handleSizeChange(e) {
-  currentSizeKey = e.target.value;
+/**
+ * Add one design per image file, each fitted with the chosen fit preset
+ * and given the chosen quantity. Files that fail to load are skipped and
+ * listed afterwards; the last design added is left on the canvas.
+ * @param {File[]} files
+ */
+async function addImageFiles(files) {
+  if (!files.length) return;
+  hideError();
+
+  const fitMode = importFitSelect.value;
+  const count = parseInt(importQuantityInput.value, 10);
+  // Several images at once print one button each unless told otherwise
+  const quantity = count > 0 ? count : files.length > 1 ? 1 : null;
+  const failed = [];
+  let added = 0;
+
+  // Keep edits to the design we're leaving before the new ones take over
+  saveActiveDesign();
   controller.setButtonSize(getButtonSize(currentSizeKey));
-  if (controller.image) {
-    controller.render();
+
+  for (const [i, file] of files.entries()) {
+    if (files.length > 1) {
+      fileLabelText.textContent = `Loading ${i + 1} of ${files.length}...`;
+    }
+    try {
+      const img = await loadImage(file);
+      if (!added) showEditor(true);
+      controller.setImage(img, fitMode);
+      const design = queue.add(file.name, controller.getImageState());
+      queue.setQuantity(design.id, quantity);
+      added++;
+    } catch (err) {
+      failed.push({ name: file.name, message: err.message });
+      console.error('Image load error:', err);
+    }
+  }
+
+  fileLabelText.textContent = queue.isEmpty() ? 'Choose an image...' : 'Add another design...';
+  if (failed.length === 1) {
+    showError(files.length === 1 ? failed[0].message : `Could not add ${failed[0].name}: ${failed[0].message}`);
+  } else if (failed.length) {
+    showError(`Could not add ${failed.length} files: ${failed.map((f) => f.name).join(', ')}.`);
   }
+  if (!added) return;
+
+  recordHistory();
+  renderDesignList();
+  renderTextControls();
+  renderLayerControls();
+  renderBatchControls();
+
+  // Sync sliders to initial scale and rotation
+  syncSlider();
+  syncOffsets();
+  syncRotation();
+  syncBackground();
+  syncAdjustments();
+  if (controller.mode === 'preview') renderPreview();
 }
 
-function handleScaleChange() {
-  const pct = parseInt(scaleSlider.value, 10);
-  scaleValue.textContent = pct + '%';
+/**
+ * Download the whole session (designs, size, print options) as a
+ * project file.
+ */
+function handleSaveProject() {
+  if (queue.isEmpty()) return;
+  saveActiveDesign();
 
-  if (!controller.image) return;
+  const text = serializeProject(getSession());
+  downloadBlob(new Blob([text], { type: 'application/json' }), 'buttons-project.json');
+}
 
-  // The slider represents a percentage of the "fit" scale
-  const baseScale = computeBaseScale();
-  controller.scaleImage(baseScale * (pct / 100));
+/**
+ * Replace the current session with one from a project file.
+ */
+async function handleOpenProject(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  hideError();
+
+  try {
+    await applyProject(parseProject(await file.text()));
+  } catch (err) {
+    showError(err.message);
+    console.error('Project open error:', err);
+  } finally {
+    projectInput.value = '';
+  }
 }
 
-function setMode(mode) {
-  controller.setMode(mode);
-  modeResize.classList.toggle('active', mode === 'resize');
-  modePreview.classList.toggle('active', mode === 'preview');
+/**
+ * Replace the current session with saved project data (from a project
+ * file or the autosave store).
+ * @param {import('./projectFile').ProjectData} data
+ */
+async function applyProject(data) {
+  const designs = await loadProjectDesigns(data);
+
+  // A custom size from another machine is added to this one's sizes
+  let sizeKey = currentSizeKey;
+  if (data.customSize && validateButtonSize(data.customSize).length === 0) {
+    setCustomSizes({ ...getCustomSizes(), [data.sizeKey]: data.customSize });
+    saveCustomSizes(getCustomSizes());
+  }
+  try {
+    getButtonSize(data.sizeKey);
+    sizeKey = data.sizeKey;
+  } catch {
+    // Unknown size: keep the current one
+  }
+  renderSizeOptions(sizeKey);
+  currentSizeKey = sizeKey;
+  controller.setButtonSize(getButtonSize(sizeKey));
+
+  queue.clear();
+  designs.forEach(({ name, quantity, batch, imageState }) => {
+    const design = queue.add(name, imageState);
+    queue.setQuantity(design.id, quantity);
+    queue.setBatch(design.id, batch);
+  });
 
-  if (mode === 'preview' && controller.image) {
-    // Hide the interactive canvas, show full-page preview
-    canvasContainer.hidden = true;
-    printPreview.hidden = false;
-    renderPreview();
+  const { print = {} } = data;
+  printCountInput.value = print.count ?? '';
+  if (print.gap >= 0) layoutGapInput.value = print.gap;
+  if ([...printDpiSelect.options].some((o) => o.value === String(print.dpi))) {
+    printDpiSelect.value = String(print.dpi);
+  }
+  registrationMarksInput.checked = !!print.registrationMarks;
+  updateLayoutOptions(print.arrangement);
+
+  if (queue.isEmpty()) {
+    setMode('resize');
+    controller.setImage(null);
+    fileLabelText.textContent = 'Choose an image...';
+    showEditor(false);
   } else {
-    // Show interactive canvas, hide preview
-    canvasContainer.hidden = false;
-    printPreview.hidden = true;
+    queue.setActive(queue.designs[Math.min(data.activeIndex || 0, queue.designs.length - 1)].id);
+    fileLabelText.textContent = 'Add another design...';
+    showEditor(true);
+    controller.setImageState(queue.getActive().imageState);
+    syncSlider();
+    syncOffsets();
+    syncRotation();
+    syncBackground();
+    syncAdjustments();
   }
+
+  renderDesignList();
+  renderTextControls();
+  renderLayerControls();
+  renderBatchControls();
+  setMode(data.mode === 'preview' && !queue.isEmpty() ? 'preview' : 'resize');
+
+  // Opening a project starts a fresh history
+  editHistory.reset(captureEditorState());
+  updateHistoryButtons();
 }
 
-function handlePrint() {
-  if (!controller.image) return;
+/**
+ * Snapshot everything undo can step back over: the button size and every
+ * queued design with its image state.
+ */
+function captureEditorState() {
+  saveActiveDesign();
+  return { sizeKey: currentSizeKey, ...queue.snapshot() };
+}
 
-  const imageState = controller.getImageState();
-  const layout = generatePrintLayout(imageState, US_LETTER, getCalibrationFactor());
-  renderPrintLayout(layout, printLayout);
+/**
+ * Add an undo entry for the current state.
+ * @param {string | null} [mergeKey] – see EditHistory#record
+ */
+function recordHistory(mergeKey = null) {
+  editHistory.record(captureEditorState(), mergeKey);
+  updateHistoryButtons();
+}
 
-  // Short delay to let canvases render before triggering print
-  requestAnimationFrame(() => {
-    window.print();
-  });
+function undo() {
+  const state = editHistory.undo();
+  if (state) applyEditorState(state);
 }
 
-function handleSaveSettings() {
-  const settings = {
-    printerName: printerNameInput.value.trim(),
-    paperSize: 'US Letter',
-    scale: 100,
-    margins: 'Default',
-    notes: printerNotesInput.value.trim(),
-  };
+function redo() {
+  const state = editHistory.redo();
+  if (state) applyEditorState(state);
+}
 
-  const saved = savePrinterSettings(settings);
-  if (saved) {
-    saveSettingsBtn.textContent = 'Saved!';
-    setTimeout(() => {
-      saveSettingsBtn.textContent = 'Save Settings';
-    }, 1500);
+/**
+ * Put the editor back to a history snapshot.
+ * @param {ReturnType<typeof captureEditorState>} state
+ */
+function applyEditorState(state) {
+  queue.restore(state);
+  currentSizeKey = state.sizeKey;
+  renderSizeOptions(currentSizeKey);
+  controller.setButtonSize(getButtonSize(currentSizeKey));
+
+  const design = queue.getActive();
+  if (design) {
+    fileLabelText.textContent = 'Add another design...';
+    showEditor(true);
+    controller.setImageState(design.imageState);
+    syncSlider();
+    syncOffsets();
+    syncRotation();
+    syncBackground();
+    syncAdjustments();
+  } else {
+    setMode('resize');
+    controller.setImage(null);
+    fileLabelText.textContent = 'Choose an image...';
+    showEditor(false);
   }
+
+  renderDesignList();
+  renderTextControls();
+  renderLayerControls();
+  renderBatchControls();
+  updateHistoryButtons();
+  updateTextWarning();
+  updatePrintSummary();
+  if (controller.mode === 'preview') renderPreview();
 }
 
-function restoreSettings() {
-  const settings = loadPrinterSettings();
-  if (!settings) return;
-  if (settings.printerName) printerNameInput.value = settings.printerName;
-  if (settings.notes) printerNotesInput.value = settings.notes;
+function updateHistoryButtons() {
+  undoBtn.disabled = !editHistory.canUndo();
+  redoBtn.disabled = !editHistory.canRedo();
 }
 
 /**
- * Restore calibration state from localStorage and show status.
+ * Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y), or Cmd on macOS. Text fields keep
+ * their own undo.
+ * @param {KeyboardEvent} e
  */
-function restoreCalibration() {
-  const cal = loadCalibration();
-  if (!cal) return;
-  if (cal.measuredInches) {
-    calibrationMeasuredInput.value = cal.measuredInches;
+function handleHistoryKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+
+  const target = e.target;
+  const typing = target instanceof HTMLElement && (
+    target.isContentEditable ||
+    target.tagName === 'TEXTAREA' ||
+    (target.tagName === 'INPUT' && ['text', 'number', 'search', 'url', 'email'].includes(target.type))
+  );
+  if (typing) return;
+
+  e.preventDefault();
+  if (key === 'y' || e.shiftKey) {
+    redo();
+  } else {
+    undo();
   }
-  showCalibrationStatus(cal);
 }
 
 /**
- * Print a calibration test sheet with measurement reference lines.
+ * Look for an autosaved session and, if there is one, offer to bring it
+ * back. Autosaving holds off until the user answers, so the saved session
+ * isn't overwritten by the empty startup state.
  */
-function handlePrintTestSheet() {
-  renderTestSheet(printLayout);
-  requestAnimationFrame(() => {
-    window.print();
-  });
+async function offerSessionRestore() {
+  const saved = await loadSession();
+  sessionChecked = true;
+  if (!queue.isEmpty()) {
+    // The user already started something new; save it now that it's safe to
+    scheduleAutosave();
+    return;
+  }
+  if (!saved || !saved.project || !saved.project.designs || !saved.project.designs.length) return;
+
+  pendingRestore = saved;
+  const count = saved.project.designs.length;
+  restoreMessage.textContent =
+    `Restore your last session (${count} design${count === 1 ? '' : 's'}, ` +
+    `saved ${new Date(saved.savedAt).toLocaleString()})?`;
+  restoreBanner.hidden = false;
+}
+
+async function handleRestoreSession() {
+  const saved = pendingRestore;
+  dismissRestore();
+  if (!saved) return;
+
+  hideError();
+  try {
+    await applyProject(migrateProject(saved.project));
+  } catch (err) {
+    showError(`Could not restore the last session: ${err.message}`);
+    console.error('Session restore error:', err);
+  }
+}
+
+function dismissRestore() {
+  pendingRestore = null;
+  restoreBanner.hidden = true;
 }
 
 /**
- * Save the user's measured value and compute a calibration factor.
+ * Autosave shortly after the last edit, so bursts of edits (a drag, a
+ * slider sweep) cost a single write.
  */
-function handleSaveCalibration() {
-  const measuredStr = calibrationMeasuredInput.value.trim();
-  const measured = parseFloat(measuredStr);
-  const expected = 6; // the test sheet has a 6" reference line
+function scheduleAutosave() {
+  if (!isSessionStoreAvailable()) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+}
 
-  if (!measured || measured <= 0 || !isFinite(measured)) {
-    showCalibrationAlert('Please enter a valid measurement.', 'warning');
+async function autosave() {
+  autosaveTimer = null;
+  // Until the saved session has been looked at, an empty queue would
+  // delete it; offerSessionRestore() schedules a save once it's done
+  if (!sessionChecked) return;
+
+  if (queue.isEmpty()) {
+    // Nothing to keep, unless the last session is still on offer
+    if (!pendingRestore) await clearSession();
     return;
   }
 
-  const scaleFactor = expected / measured;
-  const calibration = {
-    expectedInches: expected,
-    measuredInches: measured,
-    scaleFactor,
-  };
+  // New work replaces the session that was on offer
+  dismissRestore();
 
-  const saved = saveCalibration(calibration);
-  if (saved) {
-    showCalibrationStatus(calibration);
-  } else {
-    showCalibrationAlert('Could not save calibration. Browser storage may be unavailable.', 'warning');
+  try {
+    const session = getSession();
+    await saveSession(createProjectData(session));
+
+    const active = queue.getActive();
+    if (active) {
+      const [design] = createProjectData({ ...session, designs: [active] }).designs;
+      await saveRecentDesign({
+        key: recentDesignKey(active.name, design.image),
+        name: active.name,
+        savedAt: Date.now(),
+        thumbnail: createButtonCanvas(
+          { ...active.imageState, buttonSize: getButtonSize(currentSizeKey) },
+          1.0,
+          THUMBNAIL_DPI,
+          { cutLine: false, preview: true },
+        ).toDataURL('image/png'),
+        design,
+      });
+      renderRecentDesigns();
+    }
+  } catch (err) {
+    console.error('Autosave error:', err);
   }
 }
 
 /**
- * Clear calibration and reset to default (1:1) scaling.
+ * Add a recent design to the queue with its saved crop and text.
+ * @param {import('./sessionStore').RecentDesign} recent
  */
-function handleClearCalibration() {
-  clearCalibration();
-  calibrationMeasuredInput.value = '';
-  showCalibrationAlert('Calibration reset to default (no correction).', 'info');
+async function addRecentDesign(recent) {
+  hideError();
+  try {
+    const [{ name, imageState }] = await loadProjectDesigns({ designs: [recent.design] });
+    dismissRestore();
+    saveActiveDesign();
+
+    showEditor(true);
+    fileLabelText.textContent = 'Add another design...';
+    controller.setButtonSize(getButtonSize(currentSizeKey));
+    controller.setImageState(imageState);
+    queue.add(name, controller.getImageState());
+    recordHistory();
+    syncSlider();
+    syncOffsets();
+    syncRotation();
+    syncBackground();
+    syncAdjustments();
+    renderDesignList();
+    renderTextControls();
+    renderLayerControls();
+    renderBatchControls();
+    if (controller.mode === 'preview') renderPreview();
+  } catch (err) {
+    showError(err.message);
+    console.error('Recent design error:', err);
+  }
 }
 
 /**
- * Show the current calibration status message.
- * @param {import('./settingsManager').CalibrationData} cal
+ * Rebuild the strip of recent design thumbnails.
  */
-function showCalibrationStatus(cal) {
-  const pct = ((cal.scaleFactor - 1) * 100).toFixed(1);
-  const direction = cal.scaleFactor > 1 ? 'enlarging' : cal.scaleFactor < 1 ? 'shrinking' : 'no change to';
-  const sign = cal.scaleFactor > 1 ? '+' : '';
-  calibrationStatus.hidden = false;
-  calibrationStatus.className = 'calibration-status success';
-  calibrationStatus.innerHTML =
-    `<strong>Calibration active:</strong> Your 6" line measured ${cal.measuredInches}". ` +
-    `Correction factor: ${cal.scaleFactor.toFixed(4)}× (${sign}${pct}%, ${direction} output).`;
+async function renderRecentDesigns() {
+  const recents = await getRecentDesigns();
+  recentDesignList.innerHTML = '';
+  recentDesignsEl.hidden = recents.length === 0;
+
+  recents.forEach((recent) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'recent-design';
+    btn.title = `Add ${recent.name}`;
+    btn.setAttribute('aria-label', `Add recent design ${recent.name}`);
+    btn.addEventListener('click', () => addRecentDesign(recent));
+
+    const img = document.createElement('img');
+    img.src = recent.thumbnail;
+    img.alt = '';
+
+    btn.appendChild(img);
+    recentDesignList.appendChild(btn);
+  });
 }
 
 /**
- * Show a one-off calibration alert message.
- * @param {string} msg
- * @param {'success'|'info'|'warning'} type
+ * Make a queued design the one being edited on the canvas.
+ * @param {number} id
  */
-function showCalibrationAlert(msg, type) {
-  calibrationStatus.hidden = false;
-  calibrationStatus.className = 'calibration-status ' + type;
-  calibrationStatus.textContent = msg;
+function selectDesign(id) {
+  if (id === queue.activeId) return;
+  saveActiveDesign();
+  queue.setActive(id);
+  const design = queue.getActive();
+  controller.setImageState(design.imageState);
+  syncSlider();
+  syncOffsets();
+  syncRotation();
+  syncBackground();
+  syncAdjustments();
+  renderDesignList();
+  renderTextControls();
+  renderLayerControls();
+  renderBatchControls();
+  if (controller.mode === 'preview') renderPreview();
 }
 
 /**
- * Render an on-screen scaled preview of the full printed page.
- * Uses percentage-based positioning so the preview scales to fit.
+ * Drop a design from the queue, switching the canvas to whichever
+ * design becomes active (or back to the empty state).
+ * @param {number} id
  */
-function renderPreview() {
-  printPreviewPage.innerHTML = '';
+function removeDesign(id) {
+  saveActiveDesign();
+  queue.remove(id);
+  recordHistory();
+  const design = queue.getActive();
+
+  if (design) {
+    controller.setImageState(design.imageState);
+    syncSlider();
+    syncOffsets();
+    syncRotation();
+    syncBackground();
+    syncAdjustments();
+  } else {
+    setMode('resize');
+    controller.setImage(null);
+    fileLabelText.textContent = 'Choose an image...';
+    showEditor(false);
+  }
 
-  if (!controller.image) return;
+  renderDesignList();
+  renderTextControls();
+  renderLayerControls();
+  renderBatchControls();
+  if (controller.mode === 'preview') renderPreview();
+}
 
-  const imageState = controller.getImageState();
-  const layout = generatePrintLayout(imageState, US_LETTER);
-  const { buttonSize, buttons, paperSize } = layout;
+function handleQuantityChange(id, value) {
+  const quantity = value.trim() === '' ? null : parseInt(value, 10);
+  queue.setQuantity(id, quantity);
+  updatePrintSummary();
+  if (controller.mode === 'preview') renderPreview();
+}
 
-  const cutDiameterIn = buttonSize.cutLineDiameter;
+function handleSizeChange(e) {
+  applySize(e.target.value);
+}
 
-  // We render each button as a percentage-positioned element inside
-  // the preview page div (which has aspect-ratio 8.5/11).
-  const pageW = paperSize.width;   // 8.5
-  const pageH = paperSize.height;  // 11
+/**
+ * Make a size the current one for the canvas guides and the print job.
+ * @param {string} key
+ */
+function applySize(key) {
+  currentSizeKey = key;
+  controller.setButtonSize(getButtonSize(currentSizeKey));
+  recordHistory();
+  if (controller.image) {
+    controller.render();
+  }
+  updateTextWarning();
+  updatePrintSummary();
+}
 
-  buttons.forEach((btn) => {
-    const cell = document.createElement('div');
-    cell.className = 'preview-button-cell';
-    cell.style.left   = ((btn.x / pageW) * 100) + '%';
-    cell.style.top    = ((btn.y / pageH) * 100) + '%';
-    cell.style.width  = ((cutDiameterIn / pageW) * 100) + '%';
-    cell.style.height = ((cutDiameterIn / pageH) * 100) + '%';
-
-    // Draw onto a small canvas
-    const c = document.createElement('canvas');
-    const sizePx = Math.round(cutDiameterIn * PIXELS_PER_INCH);
-    c.width = sizePx;
-    c.height = sizePx;
-
-    const ctx = c.getContext('2d');
-    const cx = sizePx / 2;
-    const cy = sizePx / 2;
-
-    const cutRadiusPx = sizePx / 2 - 0.5;
-
-    // Clip image to circular cut-line area so background is transparent
-    const { image, scale, offsetX, offsetY } = btn.imageState;
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(cx, cy, cutRadiusPx, 0, Math.PI * 2);
-    ctx.clip();
-
-    const drawW = image.naturalWidth * scale;
-    const drawH = image.naturalHeight * scale;
-    const imgX = cx - drawW / 2 + offsetX;
-    const imgY = cy - drawH / 2 + offsetY;
-    ctx.drawImage(image, imgX, imgY, drawW, drawH);
-    ctx.restore();
-
-    // Cut line circle (dashed grey)
-    ctx.save();
-    ctx.strokeStyle = '#999';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([4, 3]);
-    ctx.beginPath();
-    ctx.arc(cx, cy, cutRadiusPx, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.restore();
+/**
+ * Validate the editor fields and add (or update) a custom size.
+ */
+function handleSaveCustomSize() {
+  const size = {
+    name: customSizeName.value.trim(),
+    buttonFaceDiameter: parseFloat(customSizeFace.value),
+    cutLineDiameter: parseFloat(customSizeCut.value),
+    contentGuideDiameter: parseFloat(customSizeContent.value),
+  };
+  if (customSizeShape.value !== 'circle') {
+    size.shape = customSizeShape.value;
+    size.buttonFaceHeight = parseFloat(customSizeFaceHeight.value);
+    size.cutLineHeight = parseFloat(customSizeCutHeight.value);
+    size.contentGuideHeight = parseFloat(customSizeContentHeight.value);
+  }
+  if (customSizeMaxRows.value.trim()) {
+    size.maxRows = Number(customSizeMaxRows.value);
+  }
+  if (customSizeLayout.value === 'hex') {
+    size.layout = 'hex';
+  }
 
-    cell.appendChild(c);
-    printPreviewPage.appendChild(cell);
-  });
-}
+  const errors = validateButtonSize(size);
+  if (errors.length) {
+    customSizeError.textContent = errors.join(' ');
+    customSizeError.hidden = false;
+    return;
+  }
 
-/* ============================================================
-   Helpers
-   ============================================================ */
+  const key = editingSizeKey || CUSTOM_SIZE_PREFIX + Date.now();
+  setCustomSizes({ ...getCustomSizes(), [key]: size });
+  saveCustomSizes(getCustomSizes());
 
-function showError(msg) {
-  imageError.textContent = msg;
-  imageError.hidden = false;
+  closeSizeEditor();
+  renderSizeOptions(key);
+  applySize(key);
 }
 
-function hideError() {
-  imageError.textContent = '';
-  imageError.hidden = true;
+/**
+ * Delete a custom size, falling back to the default size if it was selected.
+ * @param {string} key
+ */
+function deleteCustomSize(key) {
+  const sizes = getCustomSizes();
+  delete sizes[key];
+  setCustomSizes(sizes);
+  saveCustomSizes(sizes);
+
+  if (editingSizeKey === key) closeSizeEditor();
+  if (currentSizeKey === key) {
+    renderSizeOptions('1.25');
+    applySize('1.25');
+  } else {
+    renderSizeOptions();
+  }
 }
 
 /**
- * Compute the base scale that fits the smaller image dimension
- * into the cut-line circle. The slider 100 % corresponds to this.
+ * Show the custom size editor, pre-filled when editing an existing size.
+ * @param {string | null} key
  */
-function computeBaseScale() {
-  if (!controller.image || !controller.buttonSize) return 1;
-  const cutDiameterPx = controller.buttonSize.cutLineDiameter * PIXELS_PER_INCH;
-  const minDim = Math.min(controller.image.naturalWidth, controller.image.naturalHeight);
-  return cutDiameterPx / minDim;
+function openSizeEditor(key) {
+  editingSizeKey = key;
+  const size = key ? getButtonSize(key) : null;
+  customSizeName.value = size ? size.name : '';
+  customSizeFace.value = size ? size.buttonFaceDiameter : '';
+  customSizeCut.value = size ? size.cutLineDiameter : '';
+  customSizeContent.value = size ? size.contentGuideDiameter : '';
+  customSizeShape.value = size ? getShape(size) : 'circle';
+  customSizeFaceHeight.value = size && size.buttonFaceHeight ? size.buttonFaceHeight : '';
+  customSizeCutHeight.value = size && size.cutLineHeight ? size.cutLineHeight : '';
+  customSizeContentHeight.value = size && size.contentGuideHeight ? size.contentGuideHeight : '';
+  syncCustomSizeShape();
+  customSizeMaxRows.value = size && size.maxRows ? size.maxRows : '';
+  customSizeLayout.value = size && size.layout === 'hex' ? 'hex' : 'grid';
+  customSizeError.hidden = true;
+  customSizeEditor.hidden = false;
+  customSizeToggle.hidden = true;
+  customSizeName.focus();
 }
 
 /**
- * Sync the slider position to the controller's current scale.
+ * Show the height fields for shapes other than circles, whose sizes
+ * above are then widths.
  */
-function syncSlider() {
-  const baseScale = computeBaseScale();
-  if (baseScale <= 0) return;
-  const pct = Math.round((controller.scale / baseScale) * 100);
+function syncCustomSizeShape() {
+  customSizeHeights.hidden = customSizeShape.value === 'circle';
+}
+
+function closeSizeEditor() {
+  editingSizeKey = null;
+  customSizeEditor.hidden = true;
+  customSizeToggle.hidden = false;
+}
+
+function handleScaleChange() {
+  const pct = parseInt(scaleSlider.value, 10);
+  scaleValue.textContent = pct + '%';
+
+  if (!controller.image) return;
+
+  // The slider represents a percentage of the "fit" scale
+  const baseScale = computeBaseScale();
+  controller.scaleImage(baseScale * (pct / 100));
+  updatePreflight();
+}
+
+/**
+ * Move the image to the offsets typed in, in inches from the centre.
+ */
+function handleOffsetChange() {
+  if (!controller.image) return;
+  const x = parseFloat(offsetXInput.value);
+  const y = parseFloat(offsetYInput.value);
+  // The selected image layer, when there is one, moves instead of the image
+  const layer = controller.getSelectedImageLayer();
+  const target = layer || controller;
+  const offsetX = Number.isFinite(x) ? inchesToPixels(x) : target.offsetX;
+  const offsetY = Number.isFinite(y) ? inchesToPixels(y) : target.offsetY;
+  if (layer) {
+    controller.updateImageLayer(layer.id, { offsetX, offsetY });
+  } else {
+    controller.moveImage(offsetX, offsetY);
+  }
+  announcePosition();
+}
+
+/**
+ * Switch modes from the canvas keyboard shortcut. Preview mode hides the
+ * canvas, so focus moves to the button that switches back.
+ */
+function handleModeToggleKey() {
+  if (!controller.image) return;
+  if (controller.mode === 'resize') {
+    setMode('preview');
+    modeResize.focus();
+    canvasStatus.textContent = 'Preview mode';
+  } else {
+    setMode('resize');
+    canvasEl.focus();
+    canvasStatus.textContent = 'Resize mode';
+  }
+}
+
+/**
+ * Read out the scale and position of the image, or of the selected image
+ * layer, through the live region.
+ */
+function announcePosition() {
+  const describe = (px, positive, negative, centred) => {
+    const inches = Math.abs(pixelsToInches(px));
+    if (inches < 0.005) return centred;
+    return `${inches.toFixed(2)} in ${px > 0 ? positive : negative}`;
+  };
+  const layer = controller.getSelectedImageLayer();
+  const target = layer || controller;
+  const size = layer
+    ? `${layer.name}: width ${pixelsToInches(layer.image.naturalWidth * layer.scale).toFixed(2)} in`
+    : `Scale ${scaleSlider.value}%`;
+  canvasStatus.textContent =
+    `${size}, ` +
+    `${describe(target.offsetX, 'right', 'left', 'centred horizontally')}, ` +
+    `${describe(target.offsetY, 'down', 'up', 'centred vertically')}`;
+}
+
+function handleRotationChange() {
+  if (!controller.image) return;
+  controller.rotateImage(parseFloat(rotationSlider.value));
+  syncRotation();
+}
+
+/**
+ * Turn the image a quarter turn, keeping any fine straightening angle.
+ * @param {number} degrees – ±90
+ */
+function rotateBy(degrees) {
+  if (!controller.image) return;
+  controller.rotateImage(controller.rotation + degrees);
+  syncRotation();
+}
+
+/**
+ * @param {'horizontal' | 'vertical'} axis
+ */
+function flipImage(axis) {
+  if (!controller.image) return;
+  controller.flipImage(axis);
+  syncRotation();
+}
+
+/**
+ * @param {import('./canvasController').FitMode} mode
+ */
+function fitImage(mode) {
+  if (!controller.image) return;
+  controller.fitImage(mode);
+  syncSlider();
+  updatePreflight();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleSmartCenter() {
+  if (!controller.image) return;
+  if (controller.smartCenter()) {
+    if (controller.mode === 'preview') renderPreview();
+    return;
+  }
+  smartCenterBtn.textContent = 'No subject found';
+  setTimeout(() => {
+    smartCenterBtn.textContent = 'Smart centre';
+  }, 1500);
+}
+
+function handleBackgroundChange() {
+  if (!controller.image) return;
+  controller.setBackground({
+    type: backgroundTypeSelect.value,
+    color: backgroundColorInput.value,
+    color2: backgroundColor2Input.value,
+  });
+  syncBackground();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleAdjustmentChange() {
+  if (!controller.image) return;
+  const values = Object.fromEntries(
+    Object.entries(adjustmentSliders).map(([key, slider]) => [key, parseInt(slider.value, 10) || 0]),
+  );
+  controller.setAdjustments({
+    ...values,
+    duotone: duotoneInput.checked,
+    duotoneDark: duotoneDarkInput.value,
+    duotoneLight: duotoneLightInput.value,
+  });
+  syncAdjustments();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleResetAdjustments() {
+  if (!controller.image) return;
+  controller.resetAdjustments();
+  syncAdjustments();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+async function handleLayerSelect(e) {
+  const file = e.target.files[0];
+  if (!file || !controller.image) return;
+
+  layerError.hidden = true;
+  try {
+    const img = await loadImage(file);
+    controller.addImageLayer(img, baseName(file.name));
+    renderLayerControls();
+    if (controller.mode === 'preview') renderPreview();
+  } catch (err) {
+    layerError.textContent = err.message;
+    layerError.hidden = false;
+  } finally {
+    // Allow the same file to be added again as another layer
+    layerInput.value = '';
+  }
+}
+
+/**
+ * Apply the layer editor's width and opacity to the selected layer.
+ */
+function handleLayerEdit() {
+  const layer = controller.getSelectedImageLayer();
+  if (!layer) return;
+  const width = parseFloat(layerWidthInput.value);
+  const opacity = parseInt(layerOpacityInput.value, 10);
+  controller.updateImageLayer(layer.id, {
+    scale: width > 0 ? inchesToPixels(width) / layer.image.naturalWidth : layer.scale,
+    opacity: Number.isFinite(opacity) ? Math.max(0, Math.min(100, opacity)) / 100 : layer.opacity,
+  });
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleAddText() {
+  controller.addTextLayer();
+  renderTextControls();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleRemoveText() {
+  const layer = controller.getSelectedTextLayer();
+  if (!layer) return;
+  controller.removeTextLayer(layer.id);
+  renderTextControls();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+/**
+ * Apply the text editor fields to the selected text layer.
+ */
+function handleTextEdit() {
+  const layer = controller.getSelectedTextLayer();
+  if (!layer) return;
+
+  const props = {
+    text: textContentInput.value,
+    fontFamily: textFontSelect.value,
+    color: textColorInput.value,
+    strokeColor: textStrokeColorInput.value,
+    placement: textPlacementSelect.value,
+    bold: textBoldInput.checked,
+  };
+  const fontSize = parseFloat(textSizeInput.value);
+  if (fontSize > 0) props.fontSize = fontSize;
+  const strokeWidth = parseFloat(textStrokeWidthInput.value);
+  if (strokeWidth >= 0) props.strokeWidth = strokeWidth;
+
+  controller.updateTextLayer(layer.id, props);
+  // Leave the editor fields alone so typing isn't interrupted
+  renderTextLayerList();
+  updateTextWarning();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+/**
+ * Load a CSV file into the names box, where it can be checked and edited
+ * before making the buttons.
+ */
+async function handleBatchFileSelect(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    batchNamesInput.value = await file.text();
+    batchError.hidden = true;
+  } catch (err) {
+    batchError.textContent = `Could not read ${file.name}.`;
+    batchError.hidden = false;
+    console.error('CSV read error:', err);
+  } finally {
+    // Allow the same file to be chosen again after editing it
+    batchCsvInput.value = '';
+  }
+}
+
+/**
+ * Personalize the active design with the names box, using the selected
+ * text as the template.
+ */
+function handleApplyBatch() {
+  const design = queue.getActive();
+  const template = controller.getSelectedTextLayer();
+  batchError.hidden = true;
+  if (!design) return;
+
+  if (!template) {
+    batchError.textContent = 'Select the text to personalize, or add text first.';
+    batchError.hidden = false;
+    return;
+  }
+
+  let batch;
+  try {
+    batch = createNameBatch(batchNamesInput.value, template, batchHeaderInput.checked);
+  } catch (err) {
+    batchError.textContent = err.message;
+    batchError.hidden = false;
+    return;
+  }
+
+  queue.setBatch(design.id, batch);
+  recordHistory();
+  renderDesignList();
+  renderBatchControls();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+/**
+ * Go back to printing the active design as it is.
+ */
+function handleClearBatch() {
+  const design = queue.getActive();
+  if (!design || !design.batch) return;
+  queue.setBatch(design.id, null);
+  recordHistory();
+  renderDesignList();
+  renderBatchControls();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function setMode(mode) {
+  controller.setMode(mode);
+  modeResize.classList.toggle('active', mode === 'resize');
+  modePreview.classList.toggle('active', mode === 'preview');
+
+  if (mode === 'preview' && controller.image) {
+    // Hide the interactive canvas, show full-page preview
+    canvasContainer.hidden = true;
+    printPreview.hidden = false;
+    renderPreview();
+  } else {
+    // Show interactive canvas, hide preview
+    canvasContainer.hidden = false;
+    printPreview.hidden = true;
+  }
+}
+
+function handlePrint() {
+  if (!controller.image) return;
+
+  const job = buildPrintJob();
+  if (!job.pages.length) return;
+  renderPrintJob(job, printLayout, getPrintDpi());
+
+  // Short delay to let canvases render before triggering print
+  requestAnimationFrame(() => {
+    window.print();
+  });
+}
+
+/**
+ * Build the print job as a PDF and download it, skipping the browser
+ * print dialog entirely.
+ */
+async function handleExportPdf() {
+  if (!controller.image) return;
+
+  const job = buildPrintJob();
+  if (!job.pages.length) return;
+
+  exportPdfBtn.disabled = true;
+  exportPdfBtn.textContent = 'Building PDF...';
+  try {
+    const blob = await createPrintJobPdf(job, getPrintDpi());
+    downloadBlob(blob, 'buttons.pdf');
+  } catch (err) {
+    showError(err.message);
+    console.error('PDF export error:', err);
+  } finally {
+    exportPdfBtn.disabled = false;
+    exportPdfBtn.textContent = 'Export PDF';
+  }
+}
+
+/**
+ * Download the design being edited as a single transparent PNG button.
+ */
+async function handleExportPng() {
+  if (!controller.image) return;
+
+  try {
+    const blob = await createButtonPng(controller.getImageState(), getPrintDpi());
+    downloadBlob(blob, baseName(queue.getActive().name) + '-button.png');
+  } catch (err) {
+    showError(err.message);
+    console.error('PNG export error:', err);
+  }
+}
+
+/**
+ * Download each page of the print job as an SVG sheet.
+ */
+function handleExportSvg() {
+  if (!controller.image) return;
+
+  try {
+    const job = buildPrintJob();
+    job.pages.forEach((page, i) => {
+      const suffix = job.pages.length > 1 ? `-page-${i + 1}` : '';
+      downloadBlob(createSheetSvg(page, getPrintDpi()), `buttons${suffix}.svg`);
+    });
+  } catch (err) {
+    showError(err.message);
+    console.error('SVG export error:', err);
+  }
+}
+
+function handlePrintCountChange() {
+  updatePrintSummary();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+function handleSaveSettings() {
+  const settings = {
+    printerName: printerNameInput.value.trim(),
+    paperSize: paperSizeSelect.value,
+    paperWidth: currentPaper.width,
+    paperHeight: currentPaper.height,
+    scale: 100,
+    margins: {
+      top: currentPaper.marginTop,
+      right: currentPaper.marginRight,
+      bottom: currentPaper.marginBottom,
+      left: currentPaper.marginLeft,
+    },
+    dpi: getPrintDpi(),
+    notes: printerNotesInput.value.trim(),
+  };
+
+  const saved = savePrinterSettings(settings);
+  if (saved) {
+    renderProfileOptions();
+    printerNameInput.value = getActiveProfile().printerName;
+    saveSettingsBtn.textContent = 'Saved!';
+    setTimeout(() => {
+      saveSettingsBtn.textContent = 'Save Profile';
+    }, 1500);
+  }
+}
+
+/**
+ * Fill the form from the active printer profile. Fields the profile
+ * doesn't set go back to their defaults, so nothing carries over from the
+ * previously active profile.
+ */
+function restoreSettings() {
+  const settings = loadPrinterSettings();
+  if (!settings) return;
+  printerNameInput.value = settings.printerName || '';
+  printerNotesInput.value = settings.notes || '';
+  printDpiSelect.value = String(settings.dpi || DEFAULT_PRINT_DPI);
+
+  // Older saves stored a display name ('US Letter') and margins: 'Default'
+  paperSizeSelect.value = PAPER_SIZES[settings.paperSize] || settings.paperSize === 'custom'
+    ? settings.paperSize
+    : 'letter';
+  if (settings.paperSize === 'custom') {
+    paperWidthInput.value = settings.paperWidth;
+    paperHeightInput.value = settings.paperHeight;
+  }
+  const margins = settings.margins && typeof settings.margins === 'object' ? settings.margins : {};
+  Object.entries(marginInputs).forEach(([side, input]) => {
+    input.value = margins[side] !== undefined ? margins[side] : DEFAULT_MARGIN;
+  });
+  updatePreflight();
+  handlePaperChange();
+}
+
+/**
+ * List the printer profiles in the picker, with the active one selected.
+ */
+function renderProfileOptions() {
+  const profiles = getPrinterProfiles();
+  const active = getActiveProfile();
+  printerProfileSelect.innerHTML = '';
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.printerName;
+    printerProfileSelect.appendChild(option);
+  });
+  printerProfileSelect.value = active.id;
+  deleteProfileBtn.disabled = profiles.length <= 1;
+}
+
+/**
+ * Switch every printer-dependent setting (paper, margins, print quality,
+ * calibration) to the active profile.
+ */
+function applyActiveProfile() {
+  renderProfileOptions();
+  restoreCalibration();
+  restoreSettings();
+}
+
+function handleProfileChange() {
+  setActiveProfile(printerProfileSelect.value);
+  applyActiveProfile();
+}
+
+function handleNewProfile() {
+  const profile = createPrinterProfile(`Printer ${getPrinterProfiles().length + 1}`);
+  if (!profile) return;
+  applyActiveProfile();
+  // Start by naming it
+  printerNameInput.focus();
+  printerNameInput.select();
+}
+
+function handleDeleteProfile() {
+  if (deletePrinterProfile(printerProfileSelect.value)) {
+    applyActiveProfile();
+  }
+}
+
+/**
+ * Read the paper picker and margin fields into `currentPaper`. Invalid
+ * combinations are reported and leave the previous paper in place.
+ */
+function handlePaperChange() {
+  const key = paperSizeSelect.value;
+  customPaperFields.hidden = key !== 'custom';
+
+  const sheet = key === 'custom'
+    ? { name: 'Custom', width: parseFloat(paperWidthInput.value), height: parseFloat(paperHeightInput.value) }
+    : PAPER_SIZES[key];
+  const margins = {};
+  Object.entries(marginInputs).forEach(([side, input]) => {
+    margins[side] = parseFloat(input.value);
+  });
+
+  const paper = createPaperSize(sheet, margins);
+  const errors = validatePaperSize(paper);
+  if (errors.length) {
+    paperError.textContent = errors.join(' ');
+    paperError.hidden = false;
+    return;
+  }
+
+  paperError.hidden = true;
+  currentPaper = paper;
+  instructionsPaper.textContent = `${paper.name} (${paper.width}" × ${paper.height}")`;
+  calibrationLineLength.textContent = getExpectedLineLength();
+  calibrationLineLabel.textContent = getExpectedLineLength();
+
+  updatePrintSummary();
+  if (controller.mode === 'preview') renderPreview();
+}
+
+/**
+ * Restore the active printer profile's calibration and show status.
+ */
+function restoreCalibration() {
+  const cal = loadCalibration();
+  calibrationMeasuredInput.value = cal && cal.measuredX ? cal.measuredX : '';
+  calibrationMeasuredYInput.value = cal && cal.measuredY ? cal.measuredY : '';
+  calibrationOffsetRightInput.value = cal && cal.measuredRight != null ? cal.measuredRight : '';
+  calibrationOffsetTopInput.value = cal && cal.measuredTop != null ? cal.measuredTop : '';
+  if (!cal) {
+    calibrationStatus.hidden = true;
+    return;
+  }
+  showCalibrationStatus(cal);
+}
+
+/**
+ * Print a calibration test sheet with measurement reference lines.
+ */
+function handlePrintTestSheet() {
+  renderTestSheet(printLayout, getTestSheetSizes(), currentPaper);
+  requestAnimationFrame(() => {
+    window.print();
+  });
+}
+
+/**
+ * Save the user's measured values and compute the calibration factors.
+ * The vertical measurement is optional; without it the horizontal factor
+ * applies to both axes. The offset target measurements are optional too;
+ * a blank one means no shift on that axis.
+ */
+function handleSaveCalibration() {
+  const optional = (input) => (input.value.trim() ? parseFloat(input.value) : null);
+  const measuredX = parseFloat(calibrationMeasuredInput.value.trim());
+  const measuredY = optional(calibrationMeasuredYInput);
+  const measuredRight = optional(calibrationOffsetRightInput);
+  const measuredTop = optional(calibrationOffsetTopInput);
+  const expectedX = getExpectedLineLength(); // the longest horizontal reference line
+  const expectedY = 3; // ...and a 3" vertical one
+
+  const valid = (m) => m > 0 && isFinite(m);
+  const validDistance = (m) => m === null || (m >= 0 && isFinite(m));
+  if (!valid(measuredX) || (measuredY !== null && !valid(measuredY)) ||
+      !validDistance(measuredRight) || !validDistance(measuredTop)) {
+    showCalibrationAlert('Please enter a valid measurement.', 'warning');
+    return;
+  }
+
+  const scaleFactorX = expectedX / measuredX;
+  // The test sheet already moves the target back by the saved offset, so a
+  // measurement is only what's left over; blank fields keep the saved offset
+  const current = getCalibrationFactors();
+  /** @type {import('./settingsManager').CalibrationData} */
+  const calibration = {
+    expectedX,
+    measuredX,
+    scaleFactorX,
+    expectedY: measuredY !== null ? expectedY : null,
+    measuredY,
+    scaleFactorY: measuredY !== null ? expectedY / measuredY : scaleFactorX,
+    offsetTarget: OFFSET_TARGET_INSET,
+    measuredRight,
+    measuredTop,
+    // A target printed too far right is closer to the right edge
+    offsetX: current.offsetX + (measuredRight !== null ? OFFSET_TARGET_INSET - measuredRight : 0),
+    offsetY: current.offsetY + (measuredTop !== null ? measuredTop - OFFSET_TARGET_INSET : 0),
+  };
+
+  const saved = saveCalibration(calibration);
+  if (saved) {
+    showCalibrationStatus(calibration);
+    updatePrintSummary();
+  } else {
+    showCalibrationAlert('Could not save calibration. Browser storage may be unavailable.', 'warning');
+  }
+}
+
+/**
+ * Clear calibration and reset to default (1:1) scaling.
+ */
+function handleClearCalibration() {
+  clearCalibration();
+  calibrationMeasuredInput.value = '';
+  calibrationMeasuredYInput.value = '';
+  calibrationOffsetRightInput.value = '';
+  calibrationOffsetTopInput.value = '';
+  showCalibrationAlert('Calibration reset to default (no correction).', 'info');
+  updatePrintSummary();
+}
+
+/**
+ * Show the current calibration status message.
+ * @param {import('./settingsManager').CalibrationData} cal
+ */
+function showCalibrationStatus(cal) {
+  const describe = (factor) => {
+    const pct = ((factor - 1) * 100).toFixed(1);
+    const direction = factor > 1 ? 'enlarging' : factor < 1 ? 'shrinking' : 'no change to';
+    const sign = factor > 1 ? '+' : '';
+    return `${factor.toFixed(4)}× (${sign}${pct}%, ${direction} output)`;
+  };
+  const vertical = cal.measuredY
+    ? `Your ${cal.expectedY}" vertical line measured ${cal.measuredY}". Vertical: ${describe(cal.scaleFactorY)}.`
+    : 'Vertical: same as horizontal.';
+  calibrationStatus.hidden = false;
+  calibrationStatus.className = 'calibration-status success';
+  const shifts = [
+    cal.offsetX ? formatShift(cal.offsetX, 'right', 'left') : null,
+    cal.offsetY ? formatShift(cal.offsetY, 'down', 'up') : null,
+  ].filter(Boolean);
+  const offset = shifts.length ? ` Page shift corrected: ${shifts.join(' and ')}.` : '';
+  calibrationStatus.innerHTML =
+    `<strong>Calibration active:</strong> Your ${cal.expectedX}" horizontal line measured ${cal.measuredX}". ` +
+    `Horizontal: ${describe(cal.scaleFactorX)}. ${vertical}${offset}`;
+}
+
+/**
+ * Describe a measured printer shift, e.g. `0.030" right`.
+ * @param {number} shift – inches, positive in the `positive` direction
+ * @param {string} positive
+ * @param {string} negative
+ * @returns {string}
+ */
+function formatShift(shift, positive, negative) {
+  return `${Math.abs(shift).toFixed(3)}" ${shift > 0 ? positive : negative}`;
+}
+
+/**
+ * Show a one-off calibration alert message.
+ * @param {string} msg
+ * @param {'success'|'info'|'warning'} type
+ */
+function showCalibrationAlert(msg, type) {
+  calibrationStatus.hidden = false;
+  calibrationStatus.className = 'calibration-status ' + type;
+  calibrationStatus.textContent = msg;
+}
+
+/**
+ * Render an on-screen scaled preview of every printed page.
+ * Uses percentage-based positioning so the preview scales to fit.
+ */
+function renderPreview() {
+  printPreview.innerHTML = '';
+
+  if (!controller.image) return;
+
+  const job = buildPrintJob();
+
+  job.pages.forEach((layout, pageIndex) => {
+    const caption = document.createElement('p');
+    caption.className = 'print-preview-caption';
+    caption.textContent = `Page ${pageIndex + 1} of ${job.pages.length}`;
+
+    const pageEl = document.createElement('div');
+    pageEl.className = 'print-preview-page';
+    pageEl.style.aspectRatio = `${layout.paperSize.width} / ${layout.paperSize.height}`;
+    renderPreviewPage(layout, pageEl);
+
+    printPreview.appendChild(caption);
+    printPreview.appendChild(pageEl);
+  });
+}
+
+/**
+ * Render one page of a print job into a preview page element.
+ * @param {import('./types').PrintLayout} layout
+ * @param {HTMLElement} pageEl
+ */
+function renderPreviewPage(layout, pageEl) {
+  const { buttonSize, buttons, paperSize } = layout;
+  const cal = toCalibration(layout.cal);
+
+  const { cut } = getGuideSizes(buttonSize);
+  const cutWidthIn = cut.width * cal.x;
+  const cutHeightIn = cut.height * cal.y;
+
+  // We render each button as a percentage-positioned element inside
+  // the preview page div (which has the paper's aspect ratio).
+  const pageW = paperSize.width;
+  const pageH = paperSize.height;
+
+  buttons.forEach((btn) => {
+    const cell = document.createElement('div');
+    cell.className = 'preview-button-cell';
+    cell.style.left   = ((btn.x / pageW) * 100) + '%';
+    cell.style.top    = ((btn.y / pageH) * 100) + '%';
+    cell.style.width  = ((cutWidthIn / pageW) * 100) + '%';
+    cell.style.height = ((cutHeightIn / pageH) * 100) + '%';
+
+    // Same renderer as the printed sheet, stretched to fill the cell
+    const c = createButtonCanvas(btn.imageState, cal, PIXELS_PER_INCH, { preview: true });
+    c.style.width = '100%';
+    c.style.height = '100%';
+
+    cell.appendChild(c);
+    pageEl.appendChild(cell);
+  });
+
+  (layout.marks || []).forEach((mark) => {
+    const el = document.createElement('div');
+    el.className = 'registration-mark';
+    el.style.left   = (((mark.x - REGISTRATION_MARK_SIZE / 2) / pageW) * 100) + '%';
+    el.style.top    = (((mark.y - REGISTRATION_MARK_SIZE / 2) / pageH) * 100) + '%';
+    el.style.width  = ((REGISTRATION_MARK_SIZE / pageW) * 100) + '%';
+    el.style.height = ((REGISTRATION_MARK_SIZE / pageH) * 100) + '%';
+    pageEl.appendChild(el);
+  });
+}
+
+/**
+ * Build the button size radios from the presets and custom sizes.
+ * @param {string} [checkedKey=currentSizeKey]
+ */
+function renderSizeOptions(checkedKey = currentSizeKey) {
+  sizeOptions.innerHTML = '';
+
+  getAllButtonSizes().forEach(({ key, size }) => {
+    const label = document.createElement('label');
+    label.className = 'radio-label';
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'button-size';
+    radio.value = key;
+    radio.checked = key === checkedKey;
+    radio.addEventListener('change', handleSizeChange);
+
+    const name = document.createElement('span');
+    name.textContent = size.name;
+
+    const details = document.createElement('small');
+    const { cut, content } = getGuideSizes(size);
+    if (getShape(size) === 'circle') {
+      details.textContent =
+        `Cut: ${cut.width.toFixed(3)}" (${Math.round(cut.width * 25.4)}mm) / ` +
+        `Content: ${content.width.toFixed(3)}"`;
+    } else {
+      const shapeLabel = BUTTON_SHAPES.find(({ value }) => value === getShape(size)).label;
+      details.textContent =
+        `${shapeLabel} / Cut: ${cut.width.toFixed(3)}" × ${cut.height.toFixed(3)}" / ` +
+        `Content: ${content.width.toFixed(3)}" × ${content.height.toFixed(3)}"`;
+    }
+
+    label.appendChild(radio);
+    label.appendChild(name);
+    label.appendChild(details);
+
+    if (size.custom) {
+      const actions = document.createElement('span');
+      actions.className = 'size-actions';
+
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.textContent = 'Edit';
+      edit.setAttribute('aria-label', `Edit ${size.name}`);
+      edit.addEventListener('click', (e) => {
+        e.preventDefault();
+        openSizeEditor(key);
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Delete';
+      remove.setAttribute('aria-label', `Delete ${size.name}`);
+      remove.addEventListener('click', (e) => {
+        e.preventDefault();
+        deleteCustomSize(key);
+      });
+
+      actions.appendChild(edit);
+      actions.appendChild(remove);
+      label.appendChild(actions);
+    }
+
+    sizeOptions.appendChild(label);
+  });
+}
+
+/**
+ * Refresh the text panel: layer list, editor fields for the selected
+ * layer, and the safe-area warning.
+ */
+function renderTextControls() {
+  renderTextLayerList();
+
+  const layer = controller.getSelectedTextLayer();
+  textEditor.hidden = !layer;
+  if (layer) {
+    textContentInput.value = layer.text;
+    textFontSelect.value = layer.fontFamily;
+    textSizeInput.value = layer.fontSize;
+    textColorInput.value = layer.color;
+    textStrokeColorInput.value = layer.strokeColor;
+    textStrokeWidthInput.value = layer.strokeWidth;
+    textPlacementSelect.value = layer.placement;
+    textBoldInput.checked = layer.bold;
+  }
+
+  updateTextWarning();
+}
+
+/**
+ * Refresh the layer list and the editor for the selected image layer.
+ */
+function renderLayerControls() {
+  renderImageLayerList();
+
+  const layer = controller.getSelectedImageLayer();
+  layerEditor.hidden = !layer;
+  if (layer) {
+    layerWidthInput.value = pixelsToInches(layer.image.naturalWidth * layer.scale).toFixed(2);
+    layerOpacityInput.value = Math.round(layer.opacity * 100);
+  }
+  // The offset inputs follow the selected layer
+  syncOffsets();
+}
+
+/**
+ * Rebuild the layer list, top of the stack first, with the design's main
+ * image at the bottom.
+ */
+function renderImageLayerList() {
+  imageLayerList.innerHTML = '';
+  if (!controller.image) return;
+
+  const layers = controller.imageLayers;
+  [...layers].reverse().forEach((layer) => {
+    const index = layers.indexOf(layer);
+    const item = createLayerItem(layer.name, layer.image.src, layer.id === controller.selectedLayerId, () => {
+      controller.selectImageLayer(layer.id);
+      renderLayerControls();
+    });
+    item.classList.toggle('layer-hidden', !layer.visible);
+
+    const actions = [
+      {
+        label: '↑',
+        title: 'Move up',
+        disabled: index === layers.length - 1,
+        run: () => controller.reorderImageLayer(layer.id, 1),
+      },
+      {
+        label: '↓',
+        title: 'Move down',
+        disabled: index === 0,
+        run: () => controller.reorderImageLayer(layer.id, -1),
+      },
+      {
+        label: layer.visible ? 'Hide' : 'Show',
+        title: layer.visible ? 'Hide layer' : 'Show layer',
+        run: () => controller.updateImageLayer(layer.id, { visible: !layer.visible }),
+      },
+    ];
+    actions.forEach(({ label, title, disabled = false, run }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'layer-action';
+      button.title = title;
+      button.setAttribute('aria-label', `${title}: ${layer.name}`);
+      button.textContent = label;
+      button.disabled = disabled;
+      button.addEventListener('click', () => {
+        run();
+        renderLayerControls();
+        if (controller.mode === 'preview') renderPreview();
+      });
+      item.appendChild(button);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'design-remove';
+    remove.title = 'Remove layer';
+    remove.setAttribute('aria-label', `Remove layer ${layer.name}`);
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      controller.removeImageLayer(layer.id);
+      renderLayerControls();
+      if (controller.mode === 'preview') renderPreview();
+    });
+    item.appendChild(remove);
+
+    imageLayerList.appendChild(item);
+  });
+
+  const base = createLayerItem('Main image', controller.image.src, controller.selectedLayerId === null, () => {
+    controller.selectImageLayer(null);
+    renderLayerControls();
+  });
+  imageLayerList.appendChild(base);
+}
+
+/**
+ * A layer list row with a thumbnail and name that selects the layer.
+ * @param {string} name
+ * @param {string} src – thumbnail image URL
+ * @param {boolean} active
+ * @param {() => void} onSelect
+ * @returns {HTMLLIElement}
+ */
+function createLayerItem(name, src, active, onSelect) {
+  const item = document.createElement('li');
+  item.className = 'design-item';
+  item.classList.toggle('active', active);
+
+  const select = document.createElement('button');
+  select.type = 'button';
+  select.className = 'design-select';
+  select.title = 'Select this layer';
+  select.addEventListener('click', onSelect);
+
+  const thumb = document.createElement('img');
+  thumb.className = 'layer-thumb';
+  thumb.src = src;
+  thumb.alt = '';
+
+  const label = document.createElement('span');
+  label.className = 'design-name';
+  label.textContent = name;
+
+  select.appendChild(thumb);
+  select.appendChild(label);
+  item.appendChild(select);
+  return item;
+}
+
+/**
+ * Rebuild the list of text layers on the current design.
+ */
+function renderTextLayerList() {
+  textLayerList.innerHTML = '';
+
+  controller.textLayers.forEach((layer) => {
+    const item = document.createElement('li');
+    item.className = 'design-item';
+    item.classList.toggle('active', layer.id === controller.selectedTextId);
+
+    const select = document.createElement('button');
+    select.type = 'button';
+    select.className = 'design-select';
+    select.title = 'Edit this text';
+    select.addEventListener('click', () => {
+      controller.selectTextLayer(layer.id);
+      renderTextControls();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'design-name';
+    name.textContent = layer.text || '(empty)';
+    select.appendChild(name);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'design-remove';
+    remove.title = 'Remove text';
+    remove.setAttribute('aria-label', `Remove text ${layer.text}`);
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      controller.removeTextLayer(layer.id);
+      renderTextControls();
+      if (controller.mode === 'preview') renderPreview();
+    });
+
+    item.appendChild(select);
+    item.appendChild(remove);
+    textLayerList.appendChild(item);
+  });
+}
+
+/**
+ * Warn when text runs past the content guide, where it may end up on the
+ * curved edge or the back of the button.
+ */
+function updateTextWarning() {
+  const outside = controller.getTextLayersOutsideSafeArea();
+  textWarning.hidden = outside.length === 0;
+  if (outside.length === 1) {
+    textWarning.textContent =
+      `"${outside[0].text}" runs outside the safe area and may wrap around the edge of the button.`;
+  } else if (outside.length > 1) {
+    textWarning.textContent =
+      `${outside.length} text items run outside the safe area and may wrap around the edge of the button.`;
+  }
+}
+
+/**
+ * Refresh the names panel for the active design: a summary of its batch
+ * and a preview of every personalized button, flagging names that don't
+ * fit the safe area even at the smallest text size.
+ */
+function renderBatchControls() {
+  clearTimeout(batchPreviewTimer);
+  batchPreviewTimer = null;
+  batchPreview.innerHTML = '';
+
+  const design = queue.getActive();
+  const batch = design && design.batch;
+  clearBatchBtn.hidden = !batch;
+  batchSummary.hidden = !batch;
+  if (!batch) return;
+
+  saveActiveDesign();
+  const buttonSize = getButtonSize(currentSizeKey);
+  const buttons = expandNameBatch({ ...design.imageState, buttonSize }, batch);
+  countBatchOverflow(design.id, buttons);
+  updatePreflight();
+  if (!buttons) {
+    batchSummary.textContent =
+      'The personalized text was removed, so this design prints as it is. Make the buttons again to use new text.';
+    return;
+  }
+
+  const overflow = buttons.filter((button) => !button.fits).length;
+  batchSummary.textContent =
+    `${buttons.length} personalized button${buttons.length === 1 ? '' : 's'}, printed in list order.` +
+    (overflow ? ` ${overflow} still run${overflow === 1 ? 's' : ''} outside the safe area at ${MIN_FONT_SIZE} pt.` : '');
+
+  buttons.forEach((button) => {
+    const tile = document.createElement('figure');
+    tile.className = 'batch-tile';
+    tile.classList.toggle('overflow', !button.fits);
+    tile.title = button.fits ? button.text : `${button.text} – runs outside the safe area`;
+
+    const canvas = createButtonCanvas(button.imageState, 1.0, BATCH_PREVIEW_DPI, {
+      cutLine: false,
+      preview: true,
+    });
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'batch-tile-name';
+    caption.textContent = button.text || '(empty)';
+
+    tile.appendChild(canvas);
+    tile.appendChild(caption);
+    batchPreview.appendChild(tile);
+  });
+}
+
+/**
+ * Remember how many of a design's personalized buttons don't fit, for the
+ * pre-flight warnings.
+ * @param {number} designId
+ * @param {import('./personalization').PersonalizedButton[] | null} buttons
+ */
+function countBatchOverflow(designId, buttons) {
+  batchOverflow.set(designId, buttons ? buttons.filter((button) => !button.fits).length : 0);
+}
+
+/**
+ * Redraw the name batch preview shortly after the last edit, so dragging
+ * or typing doesn't redraw every personalized button each frame.
+ */
+function scheduleBatchPreview() {
+  const design = queue.getActive();
+  if (!design || !design.batch) return;
+  clearTimeout(batchPreviewTimer);
+  batchPreviewTimer = setTimeout(renderBatchControls, BATCH_PREVIEW_DELAY);
+}
+
+/**
+ * Rebuild the design queue list (thumbnail, name, quantity, remove).
+ */
+function renderDesignList() {
+  designList.innerHTML = '';
+  designQueueEl.hidden = queue.isEmpty();
+  saveProjectBtn.disabled = queue.isEmpty();
+
+  queue.designs.forEach((design) => {
+    const item = document.createElement('li');
+    item.className = 'design-item';
+    item.classList.toggle('active', design.id === queue.activeId);
+
+    const select = document.createElement('button');
+    select.type = 'button';
+    select.className = 'design-select';
+    select.title = 'Edit this design';
+    select.addEventListener('click', () => selectDesign(design.id));
+
+    const thumb = document.createElement('img');
+    thumb.className = 'design-thumb';
+    thumb.src = design.imageState.image.src;
+    thumb.alt = '';
+
+    const name = document.createElement('span');
+    name.className = 'design-name';
+    name.textContent = design.name;
+
+    select.appendChild(thumb);
+    select.appendChild(name);
+
+    const qty = document.createElement('input');
+    qty.type = 'number';
+    qty.className = 'design-qty';
+    qty.min = '1';
+    qty.step = '1';
+    qty.placeholder = 'auto';
+    qty.title = 'Quantity';
+    qty.setAttribute('aria-label', `Quantity for ${design.name}`);
+    qty.value = design.quantity ?? '';
+    qty.addEventListener('change', () => handleQuantityChange(design.id, qty.value));
+    if (design.batch && getBatchTemplate(design.imageState, design.batch)) {
+      // Personalized designs print one button per name
+      qty.value = design.batch.rows.length;
+      qty.disabled = true;
+      qty.title = 'One button per name';
+    }
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'design-remove';
+    remove.title = 'Remove design';
+    remove.setAttribute('aria-label', `Remove ${design.name}`);
+    remove.textContent = '×';
+    remove.addEventListener('click', () => removeDesign(design.id));
+
+    item.appendChild(select);
+    item.appendChild(qty);
+    item.appendChild(remove);
+    designList.appendChild(item);
+  });
+
+  updatePrintSummary();
+  renderDesignStrip();
+}
+
+/**
+ * Rebuild the strip of queued designs under the canvas, each drawn as it
+ * will print, for stepping through a batch of imports. Hidden for a
+ * single design.
+ */
+function renderDesignStrip() {
+  clearTimeout(designStripTimer);
+  designStripTimer = null;
+  designStrip.innerHTML = '';
+  designStrip.hidden = queue.designs.length < 2;
+  if (designStrip.hidden) return;
+
+  saveActiveDesign();
+  const buttonSize = getButtonSize(currentSizeKey);
+  queue.designs.forEach((design) => {
+    let thumbnail = stripThumbnails.get(design.imageState);
+    if (!thumbnail || thumbnail.buttonSize !== buttonSize) {
+      thumbnail = {
+        buttonSize,
+        canvas: createButtonCanvas({ ...design.imageState, buttonSize }, 1.0, THUMBNAIL_DPI, {
+          cutLine: false,
+          preview: true,
+        }),
+      };
+      stripThumbnails.set(design.imageState, thumbnail);
+    }
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'design-strip-item';
+    btn.classList.toggle('active', design.id === queue.activeId);
+    btn.title = design.name;
+    btn.setAttribute('aria-label', `Edit ${design.name}`);
+    btn.addEventListener('click', () => selectDesign(design.id));
+
+    btn.appendChild(thumbnail.canvas);
+    designStrip.appendChild(btn);
+  });
+}
+
+/**
+ * Redraw the design strip shortly after the last edit, so the active
+ * design's thumbnail catches up without redrawing on every drag frame.
+ */
+function scheduleDesignStrip() {
+  if (designStrip.hidden) return;
+  clearTimeout(designStripTimer);
+  designStripTimer = setTimeout(renderDesignStrip, DESIGN_STRIP_DELAY);
+}
+
+/**
+ * Summarise the print job before printing: total buttons, page count and
+ * the designs on each page ("Page N of M").
+ */
+function updatePrintSummary() {
+  printSummary.innerHTML = '';
+  updateLayoutOptions();
+  scheduleAutosave();
+  scheduleBatchPreview();
+  scheduleDesignStrip();
+  if (queue.isEmpty()) {
+    updatePreflight();
+    return;
+  }
+
+  const job = buildPrintJob();
+  // After the job, which counts the names that don't fit
+  updatePreflight();
+  if (!job.pages.length) {
+    printSummary.textContent = 'This button size does not fit on the page.';
+    return;
+  }
+
+  const names = new Map(queue.designs.map((d) => [d.id, d.name]));
+  const heading = document.createElement('p');
+  heading.textContent =
+    `${job.total} button${job.total === 1 ? '' : 's'} on ` +
+    `${job.pages.length} page${job.pages.length === 1 ? '' : 's'} (${job.perPage} per page).`;
+
+  const list = document.createElement('ol');
+  job.pages.forEach((page, i) => {
+    const counts = new Map();
+    page.buttons.forEach((btn) => {
+      const name = names.get(btn.imageState.designId);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    const parts = [...counts].map(([name, n]) => `${name} ×${n}`);
+
+    const item = document.createElement('li');
+    item.textContent = `Page ${i + 1} of ${job.pages.length}: ${parts.join(', ')}`;
+    list.appendChild(item);
+  });
+
+  printSummary.appendChild(heading);
+  printSummary.appendChild(list);
+}
+
+/**
+ * Run the pre-flight checks: highlight the active design's problems on the
+ * canvas now, and list every queued design's once edits pause.
+ */
+function updatePreflight() {
+  const options = { dpi: getPrintDpi(), cal: getCalibrationFactors() };
+  controller.setPreflightIssues(controller.image ? checkDesign(controller.getImageState(), options) : []);
+
+  clearTimeout(preflightTimer);
+  preflightTimer = setTimeout(renderPreflightWarnings, PREFLIGHT_DELAY);
+}
+
+/**
+ * List the problems with every queued design in the print panel.
+ */
+function renderPreflightWarnings() {
+  clearTimeout(preflightTimer);
+  preflightTimer = null;
+  const dpi = getPrintDpi();
+  const cal = getCalibrationFactors();
+  const buttonSize = getButtonSize(currentSizeKey);
+
+  // Personalized buttons share their design's image, so each design is
+  // checked once, with the name overflow counted when it was last expanded
+  saveActiveDesign();
+  const items = [];
+  const multiple = queue.designs.length > 1;
+  queue.designs.forEach((design) => {
+    const imageState = { ...design.imageState, buttonSize };
+    const messages = checkDesign(imageState, { dpi, cal }).map((issue) => issue.message);
+
+    const overflow = design.batch ? batchOverflow.get(design.id) || 0 : 0;
+    if (overflow) {
+      messages.push(
+        `${overflow} name${overflow === 1 ? ' doesn\'t' : 's don\'t'} fit inside the safe area even at ${MIN_FONT_SIZE} pt.`,
+      );
+    }
+    messages.forEach((message) => items.push(multiple ? `${design.name}: ${message}` : message));
+  });
+
+  printPreflightWarnings.innerHTML = '';
+  printPreflightWarnings.hidden = items.length === 0;
+  if (!items.length) return;
+
+  const heading = document.createElement('p');
+  heading.textContent = 'Check before printing:';
+  const list = document.createElement('ul');
+  items.forEach((text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  printPreflightWarnings.appendChild(heading);
+  printPreflightWarnings.appendChild(list);
+}
+
+/* ============================================================
+   Helpers
+   ============================================================ */
+
+/**
+ * Save a Blob as a file via a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Sizes to draw as reference circles on the test sheet: the selected size
+ * plus every custom size (all presets would not fit on one page).
+ * @returns {import('./buttonSizes').ButtonSize[]}
+ */
+function getTestSheetSizes() {
+  const sizes = [getButtonSize(currentSizeKey)];
+  Object.values(getCustomSizes()).forEach((size) => {
+    if (!sizes.includes(size)) sizes.push(size);
+  });
+  return sizes;
+}
+
+/**
+ * Length of the horizontal test sheet line measured for calibration: the
+ * longest that fits the selected paper.
+ * @returns {number} inches
+ */
+function getExpectedLineLength() {
+  return Math.max(...getReferenceLineLengths(currentPaper));
+}
+
+/**
+ * Strip the extension from a file name.
+ * @param {string} name
+ * @returns {string}
+ */
+function baseName(name) {
+  return name.replace(/\.[^.]+$/, '') || 'design';
+}
+
+/**
+ * Selected print resolution in pixels per inch.
+ * @returns {number}
+ */
+function getPrintDpi() {
+  return parseInt(printDpiSelect.value, 10) || PIXELS_PER_INCH;
+}
+
+/**
+ * Copy the canvas state back into the active design so edits survive
+ * switching designs, printing and previewing.
+ */
+function saveActiveDesign() {
+  if (controller.image) {
+    queue.updateActive(controller.getImageState());
+  }
+}
+
+/**
+ * The session as handed to the project file writer.
+ */
+function getSession() {
+  saveActiveDesign();
+  const count = parseInt(printCountInput.value, 10);
+  return {
+    designs: queue.designs,
+    activeId: queue.activeId,
+    sizeKey: currentSizeKey,
+    buttonSize: getButtonSize(currentSizeKey),
+    mode: controller.mode,
+    print: {
+      count: count > 0 ? count : null,
+      arrangement: layoutSelect.value,
+      gap: getCutterGap(),
+      dpi: getPrintDpi(),
+      registrationMarks: registrationMarksInput.checked,
+    },
+  };
+}
+
+/**
+ * Build the design list handed to the print generator. Every design is
+ * printed at the currently selected button size; a personalized design
+ * becomes one button per name, in list order.
+ */
+function getPrintDesigns() {
+  saveActiveDesign();
+  const buttonSize = getButtonSize(currentSizeKey);
+  return queue.designs.flatMap((design) => {
+    const imageState = { ...design.imageState, buttonSize, designId: design.id };
+    const buttons = design.batch && expandNameBatch(imageState, design.batch);
+    if (design.batch) countBatchOverflow(design.id, buttons);
+    if (!buttons || !buttons.length) return [{ imageState, quantity: design.quantity }];
+    return buttons.map((button) => ({ imageState: button.imageState, quantity: 1, fits: button.fits }));
+  });
+}
+
+/**
+ * Build the multi-page print job for the queued designs, honouring the
+ * "Buttons to print" target when one is entered.
+ */
+function buildPrintJob() {
+  const target = parseInt(printCountInput.value, 10);
+  return generatePrintJob(
+    getPrintDesigns(),
+    currentPaper,
+    getCalibrationFactors(),
+    target > 0 ? target : null,
+    { arrangement: layoutSelect.value, gap: getCutterGap(), registrationMarks: registrationMarksInput.checked },
+  );
+}
+
+/**
+ * Refill the sheet layout picker with every arrangement and how many
+ * buttons it holds for the current size, paper, calibration and gap.
+ * @param {string} [selected] – option id to keep selected when still offered
+ */
+function updateLayoutOptions(selected = layoutSelect.value) {
+  const buttonSize = getButtonSize(currentSizeKey);
+  const options = getLayoutOptions(buttonSize, currentPaper, getCalibrationFactors(), getCutterGap());
+  const best = pickBestLayout(options, buttonSize.layout);
+
+  layoutSelect.innerHTML = '';
+  const auto = document.createElement('option');
+  auto.value = 'auto';
+  auto.textContent = `Best fit: ${best.label} (${best.count})`;
+  layoutSelect.appendChild(auto);
+
+  options.forEach((option) => {
+    const el = document.createElement('option');
+    el.value = option.id;
+    el.textContent = `${option.label} (${option.count})`;
+    layoutSelect.appendChild(el);
+  });
+
+  layoutSelect.value = options.some((o) => o.id === selected) ? selected : 'auto';
+}
+
+/**
+ * Minimum space between cut circles, in inches.
+ * @returns {number}
+ */
+function getCutterGap() {
+  const gap = parseFloat(layoutGapInput.value);
+  return gap >= 0 ? gap : DEFAULT_CUTTER_GAP;
+}
+
+/**
+ * Toggle between the empty placeholder and the image editor controls.
+ * @param {boolean} visible
+ */
+function showEditor(visible) {
+  canvasPlaceholder.hidden = visible;
+  canvasEl.classList.toggle('active', visible);
+  imageControls.hidden = !visible;
+  layerControls.hidden = !visible;
+  textControls.hidden = !visible;
+  batchControls.hidden = !visible;
+  printControls.hidden = !visible;
+}
+
+function showError(msg) {
+  imageError.textContent = msg;
+  imageError.hidden = false;
+}
+
+function hideError() {
+  imageError.textContent = '';
+  imageError.hidden = true;
+}
+
+/**
+ * Compute the base scale at which the upright image just covers the cut
+ * line's width and height (for a circle, the smaller image dimension
+ * spans the diameter). The slider 100 % corresponds to this.
+ */
+function computeBaseScale() {
+  if (!controller.image || !controller.buttonSize) return 1;
+  const { cut } = getGuideSizes(controller.buttonSize);
+  return Math.max(
+    (cut.width * PIXELS_PER_INCH) / controller.image.naturalWidth,
+    (cut.height * PIXELS_PER_INCH) / controller.image.naturalHeight,
+  );
+}
+
+/**
+ * Sync the slider position to the controller's current scale.
+ */
+function syncSlider() {
+  const baseScale = computeBaseScale();
+  if (baseScale <= 0) return;
+  const pct = Math.round((controller.scale / baseScale) * 100);
   scaleSlider.value = Math.max(10, Math.min(500, pct));
   scaleValue.textContent = scaleSlider.value + '%';
 }
 
+/**
+ * Sync the offset inputs to the position of the image, or of the selected
+ * image layer, in inches.
+ */
+function syncOffsets() {
+  // Rounded first so tiny negative offsets don't show as "-0.00"
+  const format = (px) => (Math.round(pixelsToInches(px) * 100) / 100 || 0).toFixed(2);
+  const target = controller.getSelectedImageLayer() || controller;
+  offsetXInput.value = format(target.offsetX);
+  offsetYInput.value = format(target.offsetY);
+}
+
+/**
+ * Sync the adjustment controls to the controller's state.
+ */
+function syncAdjustments() {
+  const adjustments = controller.adjustments;
+  Object.entries(adjustmentSliders).forEach(([key, slider]) => {
+    slider.value = adjustments[key];
+    const unit = key === 'grayscale' || key === 'sepia' ? '%' : '';
+    document.getElementById(`${slider.id}-value`).textContent = adjustments[key] + unit;
+  });
+  duotoneInput.checked = adjustments.duotone;
+  duotoneDarkInput.value = adjustments.duotoneDark;
+  duotoneLightInput.value = adjustments.duotoneLight;
+  duotoneColors.hidden = !adjustments.duotone;
+}
+
+/**
+ * Sync the background picker to the controller's state, showing only the
+ * colours the chosen background uses.
+ */
+function syncBackground() {
+  const { type, color, color2 } = controller.background;
+  backgroundTypeSelect.value = type;
+  backgroundColorInput.value = color;
+  backgroundColor2Input.value = color2;
+  backgroundColors.hidden = type !== 'solid' && type !== 'gradient';
+  backgroundColor2Label.hidden = type !== 'gradient';
+}
+
+/**
+ * Sync the rotation slider and flip buttons to the controller's state.
+ */
+function syncRotation() {
+  rotationSlider.value = controller.rotation;
+  rotationValue.textContent = `${controller.rotation}°`;
+  flipHBtn.classList.toggle('active', controller.flipX);
+  flipVBtn.classList.toggle('active', controller.flipY);
+}
+
 /* ============================================================
    Boot
    ============================================================ */
@@ -0,0 +1,184 @@
+/**
+ * Background Fill
+ *
+ * Fills the part of the button the image doesn't cover, so the wrap zone
+ * between the button face and the cut line never prints as blank paper.
+ * A background is a plain colour, a top-to-bottom gradient, or an
+ * extension of the image itself: mirrored copies around its edges, or a
+ * blurred, enlarged copy behind it.
+ */
+
+import { inchesToPixels } from './measurementConverter.js';
+import { getAdjustedImage } from './imageAdjustments.js';
+import { getShape, getGuideSizes, traceShape } from './buttonShapes.js';
+
+/**
+ * @typedef {Object} Background
+ * @property {'none' | 'solid' | 'gradient' | 'mirror' | 'blur'} type
+ * @property {string} color  – solid colour, or the gradient's top colour
+ * @property {string} color2 – the gradient's bottom colour
+ */
+
+/** Background choices for the picker */
+export const BACKGROUND_TYPES = [
+  { value: 'none', label: 'None (paper)' },
+  { value: 'solid', label: 'Solid colour' },
+  { value: 'gradient', label: 'Gradient' },
+  { value: 'mirror', label: 'Mirror image edges' },
+  { value: 'blur', label: 'Blurred image' },
+];
+
+/** No background: uncovered areas stay blank */
+export const NO_BACKGROUND = Object.freeze({ type: 'none', color: '#ffffff', color2: '#000000' });
+
+/** Longest side of the copy that gets stretched for the blurred background, in px */
+const BLUR_SIZE = 24;
+
+/** Mirrored copies drawn at most this far out from the image, per direction */
+const MAX_MIRROR_TILES = 12;
+
+/** @type {WeakMap<CanvasImageSource, HTMLCanvasElement>} */
+const blurCache = new WeakMap();
+
+/**
+ * Fill the cut shape with a design's background. The context's origin
+ * is the button centre, in uncalibrated CSS pixels (see drawDesign).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number} [maxImageSize=Infinity] – longest side of adjusted image copies (see getAdjustedImage)
+ */
+export function drawBackground(ctx, imageState, maxImageSize = Infinity) {
+  const { background, buttonSize, image } = imageState;
+  if (!background || background.type === 'none' || !buttonSize) return;
+
+  // A hair past the cut line so antialiasing never shows paper
+  const { cut } = getGuideSizes(buttonSize);
+  const width = inchesToPixels(cut.width) + 2;
+  const height = inchesToPixels(cut.height) + 2;
+  // Fills cover the circle around the cut shape
+  const radius = Math.hypot(width, height) / 2;
+
+  ctx.save();
+  ctx.beginPath();
+  traceShape(ctx, getShape(buttonSize), width, height);
+  ctx.clip();
+
+  switch (background.type) {
+    case 'solid':
+      ctx.fillStyle = background.color;
+      ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+      break;
+    case 'gradient': {
+      const gradient = ctx.createLinearGradient(0, -radius, 0, radius);
+      gradient.addColorStop(0, background.color);
+      gradient.addColorStop(1, background.color2);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+      break;
+    }
+    case 'mirror':
+      if (image) drawMirroredEdges(ctx, imageState, radius, maxImageSize);
+      break;
+    case 'blur':
+      if (image) drawBlurredCopy(ctx, imageState, radius, maxImageSize);
+      break;
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Apply the image's offset, rotation and flips, so (0, 0) is the image
+ * centre in its own frame (the same transform drawDesign uses).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./canvasController').ImageState} imageState
+ */
+function applyImageTransform(ctx, imageState) {
+  const { offsetX, offsetY, rotation = 0, flipX = false, flipY = false } = imageState;
+  ctx.translate(offsetX, offsetY);
+  ctx.rotate(rotation * Math.PI / 180);
+  ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+}
+
+/**
+ * Tile mirrored copies of the image around it, so every edge continues
+ * into its own reflection, out to the cut line.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number} radius – reach of the cut shape from the button centre
+ * @param {number} maxImageSize
+ */
+function drawMirroredEdges(ctx, imageState, radius, maxImageSize) {
+  const { image, scale, offsetX, offsetY } = imageState;
+  const source = getAdjustedImage(image, imageState.adjustments, maxImageSize);
+  const drawW = image.naturalWidth * scale;
+  const drawH = image.naturalHeight * scale;
+
+  // Farthest the cut shape reaches from the image centre
+  const reach = Math.hypot(offsetX, offsetY) + radius;
+  const tiles = (size) => Math.max(0, Math.min(MAX_MIRROR_TILES, Math.ceil((reach - size / 2) / size)));
+  const tilesX = tiles(drawW);
+  const tilesY = tiles(drawH);
+
+  applyImageTransform(ctx, imageState);
+  for (let i = -tilesX; i <= tilesX; i++) {
+    for (let j = -tilesY; j <= tilesY; j++) {
+      if (i === 0 && j === 0) continue; // the image itself is drawn on top
+      ctx.save();
+      ctx.translate(i * drawW, j * drawH);
+      // Odd steps are reflected so neighbouring edges meet their mirror image
+      ctx.scale(i % 2 ? -1 : 1, j % 2 ? -1 : 1);
+      ctx.drawImage(source, -drawW / 2, -drawH / 2, drawW, drawH);
+      ctx.restore();
+    }
+  }
+}
+
+/**
+ * Draw a heavily blurred copy of the image, enlarged about its centre
+ * until it covers the cut shape.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number} radius – reach of the cut shape from the button centre
+ * @param {number} maxImageSize
+ */
+function drawBlurredCopy(ctx, imageState, radius, maxImageSize) {
+  const { image, scale, offsetX, offsetY } = imageState;
+  const drawW = image.naturalWidth * scale;
+  const drawH = image.naturalHeight * scale;
+
+  const reach = Math.hypot(offsetX, offsetY) + radius;
+  const enlarge = Math.max(1, reach / (Math.min(drawW, drawH) / 2));
+
+  applyImageTransform(ctx, imageState);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  const w = drawW * enlarge;
+  const h = drawH * enlarge;
+  ctx.drawImage(getBlurSource(image, imageState.adjustments, maxImageSize), -w / 2, -h / 2, w, h);
+}
+
+/**
+ * A tiny copy of the (adjusted) image; stretching it back up blurs it,
+ * the same in every browser (canvas filters aren't supported everywhere).
+ * @param {HTMLImageElement} image
+ * @param {import('./imageAdjustments').Adjustments} [adjustments]
+ * @param {number} [maxImageSize=Infinity]
+ * @returns {HTMLCanvasElement}
+ */
+function getBlurSource(image, adjustments, maxImageSize = Infinity) {
+  const source = getAdjustedImage(image, adjustments, maxImageSize);
+  let canvas = blurCache.get(source);
+  if (!canvas) {
+    const ratio = BLUR_SIZE / Math.max(image.naturalWidth, image.naturalHeight);
+    canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * ratio));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * ratio));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    blurCache.set(source, canvas);
+  }
+  return canvas;
+}
@@ -0,0 +1,312 @@
+/**
+ * Button Shapes
+ *
+ * Geometry for the shapes button presses come in: circles, ovals, rounded
+ * rectangles and hearts. Every guide (cut line, button face, content
+ * guide) is the button's shape at its own width and height, centred on
+ * the button centre.
+ *
+ * Outlines are traced on a canvas context (guides, clips, cut lines) or
+ * sampled as points (pre-flight checks, PDF and SVG paths), so every
+ * renderer draws the same shape.
+ */
+
+/** @typedef {'circle' | 'oval' | 'rect' | 'heart'} ButtonShape */
+
+/** Shape choices for the size editor */
+export const BUTTON_SHAPES = [
+  { value: 'circle', label: 'Circle' },
+  { value: 'oval', label: 'Oval' },
+  { value: 'rect', label: 'Rectangle' },
+  { value: 'heart', label: 'Heart' },
+];
+
+/** Corner radius of rectangular buttons, as a share of the shorter side */
+const RECT_CORNER_SHARE = 0.1;
+
+/** Points in the heart outline used for tracing and hit-testing */
+const HEART_POINTS = 180;
+
+/**
+ * @typedef {Object} ShapeSize
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * The shape of a button size; sizes saved before shapes existed are circles.
+ * @param {import('./buttonSizes').ButtonSize} size
+ * @returns {ButtonShape}
+ */
+export function getShape(size) {
+  return BUTTON_SHAPES.some(({ value }) => value === size.shape) ? size.shape : 'circle';
+}
+
+/**
+ * Width and height of each guide, in inches. The diameter fields are the
+ * widths; circles ignore the height fields.
+ * @param {import('./buttonSizes').ButtonSize} size
+ * @returns {{ cut: ShapeSize, face: ShapeSize, content: ShapeSize }}
+ */
+export function getGuideSizes(size) {
+  const circle = getShape(size) === 'circle';
+  const guide = (width, height) => ({ width, height: circle || !height ? width : height });
+  return {
+    cut: guide(size.cutLineDiameter, size.cutLineHeight),
+    face: guide(size.buttonFaceDiameter, size.buttonFaceHeight),
+    content: guide(size.contentGuideDiameter, size.contentGuideHeight),
+  };
+}
+
+/**
+ * Add the outline of a shape, centred on the origin, to the current path
+ * as a closed subpath. Doesn't begin a new path, so several outlines can
+ * share one (for even-odd fills).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ButtonShape} shape
+ * @param {number} width
+ * @param {number} height
+ */
+export function traceShape(ctx, shape, width, height) {
+  const w = width / 2;
+  const h = height / 2;
+
+  if (shape === 'rect') {
+    const r = getCornerRadius(width, height);
+    ctx.moveTo(0, -h);
+    ctx.arcTo(w, -h, w, h, r);
+    ctx.arcTo(w, h, -w, h, r);
+    ctx.arcTo(-w, h, -w, -h, r);
+    ctx.arcTo(-w, -h, w, -h, r);
+    ctx.closePath();
+  } else if (shape === 'heart') {
+    getHeartOutline().forEach(([x, y], i) => {
+      if (i === 0) ctx.moveTo(x * width, y * height);
+      else ctx.lineTo(x * width, y * height);
+    });
+    ctx.closePath();
+  } else {
+    ctx.moveTo(w, 0);
+    ctx.ellipse(0, 0, w, h, 0, 0, Math.PI * 2);
+    ctx.closePath();
+  }
+}
+
+/**
+ * Corner radius of a rectangular button's outline.
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function getCornerRadius(width, height) {
+  return Math.min(width, height) * RECT_CORNER_SHARE;
+}
+
+/**
+ * Points around a shape's outline, clockwise from the top centre. Point
+ * `i` sits at fraction `(i + phase) / count` of the way round.
+ * @param {ButtonShape} shape
+ * @param {number} width
+ * @param {number} height
+ * @param {number} count
+ * @param {number} [phase=0]
+ * @returns {{ x: number, y: number }[]}
+ */
+export function getShapeOutline(shape, width, height, count, phase = 0) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const t = (i + phase) / count;
+    if (shape === 'rect') {
+      points.push(rectPoint(width, height, t));
+    } else if (shape === 'heart') {
+      const [x, y] = heartPoint(t * Math.PI * 2);
+      points.push({ x: x * width, y: y * height });
+    } else {
+      const angle = t * Math.PI * 2;
+      points.push({ x: (width / 2) * Math.sin(angle), y: -(height / 2) * Math.cos(angle) });
+    }
+  }
+  return points;
+}
+
+/**
+ * Whether a point lies inside a shape centred on the origin.
+ * @param {ButtonShape} shape
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function isInsideShape(shape, width, height, x, y) {
+  const w = width / 2;
+  const h = height / 2;
+
+  if (shape === 'rect') {
+    const ax = Math.abs(x);
+    const ay = Math.abs(y);
+    if (ax > w || ay > h) return false;
+    // Only the corner squares are cut back by the rounding
+    const r = getCornerRadius(width, height);
+    const dx = ax - (w - r);
+    const dy = ay - (h - r);
+    return dx <= 0 || dy <= 0 || Math.hypot(dx, dy) <= r;
+  }
+
+  if (shape === 'heart') {
+    return insidePolygon(getHeartOutline(), x / width, y / height);
+  }
+
+  return (x / w) ** 2 + (y / h) ** 2 <= 1;
+}
+
+/**
+ * Largest factor a centred `rectWidth` × `rectHeight` rectangle can be
+ * scaled by and still fit inside a shape.
+ * @param {ButtonShape} shape
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rectWidth
+ * @param {number} rectHeight
+ * @returns {number}
+ */
+export function fitRectInShape(shape, width, height, rectWidth, rectHeight) {
+  if (shape === 'circle' || shape === 'oval') {
+    // The corners touch the ellipse
+    return 1 / Math.hypot(rectWidth / width, rectHeight / height);
+  }
+
+  // Search for the largest factor that keeps the rectangle's edges inside
+  const fits = (k) => {
+    const w = (rectWidth * k) / 2;
+    const h = (rectHeight * k) / 2;
+    for (let i = 0; i <= 8; i++) {
+      const x = -w + (w * 2 * i) / 8;
+      const y = -h + (h * 2 * i) / 8;
+      if (!isInsideShape(shape, width, height, x, -h) ||
+          !isInsideShape(shape, width, height, x, h) ||
+          !isInsideShape(shape, width, height, -w, y) ||
+          !isInsideShape(shape, width, height, w, y)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  let low = 0;
+  let high = Math.max(width / rectWidth, height / rectHeight);
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (fits(mid)) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Point on a rounded rectangle's outline, a fraction `t` of the way round
+ * its perimeter clockwise from the top centre.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} t – 0 to 1
+ * @returns {{ x: number, y: number }}
+ */
+function rectPoint(width, height, t) {
+  const r = getCornerRadius(width, height);
+  const w = width / 2 - r;
+  const h = height / 2 - r;
+  const arc = (Math.PI / 2) * r;
+  // Straight runs and corner arcs in order, starting rightwards along the top
+  const segments = [
+    [w, (d) => ({ x: d, y: -h - r })],
+    [arc, (d) => corner(w, -h, -Math.PI / 2 + d / r)],
+    [h * 2, (d) => ({ x: w + r, y: -h + d })],
+    [arc, (d) => corner(w, h, d / r)],
+    [w * 2, (d) => ({ x: w - d, y: h + r })],
+    [arc, (d) => corner(-w, h, Math.PI / 2 + d / r)],
+    [h * 2, (d) => ({ x: -w - r, y: h - d })],
+    [arc, (d) => corner(-w, -h, Math.PI + d / r)],
+    [w, (d) => ({ x: -w + d, y: -h - r })],
+  ];
+  const perimeter = segments.reduce((sum, [length]) => sum + length, 0);
+
+  let distance = (((t % 1) + 1) % 1) * perimeter;
+  for (const [length, at] of segments) {
+    if (distance <= length) return at(distance);
+    distance -= length;
+  }
+  return { x: 0, y: -h - r };
+
+  function corner(x, y, angle) {
+    return { x: x + r * Math.cos(angle), y: y + r * Math.sin(angle) };
+  }
+}
+
+/** @type {[number, number][] | null} */
+let heartOutline = null;
+
+/**
+ * Heart outline for a 1 × 1 box centred on the origin, clockwise from the
+ * notch at the top.
+ * @returns {[number, number][]}
+ */
+function getHeartOutline() {
+  if (!heartOutline) {
+    heartOutline = [];
+    for (let i = 0; i < HEART_POINTS; i++) {
+      heartOutline.push(heartPoint((i / HEART_POINTS) * Math.PI * 2));
+    }
+  }
+  return heartOutline;
+}
+
+/** Bounds of the raw heart curve, used to fit it to a 1 × 1 box */
+const HEART_BOUNDS = (() => {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < 720; i++) {
+    const y = rawHeartY((i / 720) * Math.PI * 2);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  }
+  return { width: 32, minY, height: maxY - minY };
+})();
+
+/**
+ * The classic heart curve at parameter `t`, in a 1 × 1 box centred on
+ * the origin (y down, notch at t = 0, point at t = π).
+ * @param {number} t
+ * @returns {[number, number]}
+ */
+function heartPoint(t) {
+  const x = 16 * Math.sin(t) ** 3;
+  const y = rawHeartY(t);
+  return [x / HEART_BOUNDS.width, (y - HEART_BOUNDS.minY) / HEART_BOUNDS.height - 0.5];
+}
+
+/**
+ * @param {number} t
+ * @returns {number}
+ */
+function rawHeartY(t) {
+  return -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t));
+}
+
+/**
+ * Even-odd point-in-polygon test.
+ * @param {[number, number][]} points
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function insidePolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
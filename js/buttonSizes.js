@@ -3,9 +3,40 @@
  *
  * Physical dimensions for each supported button size.
  * All measurements are in inches.
+ *
+ * Built-in presets cover common press sizes. User-defined sizes are
+ * registered at runtime with `setCustomSizes` (persisted separately by
+ * the settings manager) and are looked up alongside the presets.
+ *
+ * Sizes are circles unless they have a `shape`. For other shapes the
+ * diameter fields hold each guide's width and the height fields its height.
+ */
+
+import { BUTTON_SHAPES } from './buttonShapes.js';
+
+/**
+ * @typedef {Object} ButtonSize
+ * @property {string}  name
+ * @property {number}  buttonFaceDiameter   – visible front of the finished button
+ * @property {number}  cutLineDiameter      – paper circle cut for the press
+ * @property {number}  contentGuideDiameter – safe area for important content
+ * @property {import('./buttonShapes').ButtonShape} [shape] – 'circle' when omitted
+ * @property {number}  [buttonFaceHeight]   – face height, for shapes other than circles
+ * @property {number}  [cutLineHeight]      – cut line height, for shapes other than circles
+ * @property {number}  [contentGuideHeight] – content guide height, for shapes other than circles
+ * @property {number}  [maxRows]            – optional cap on rows per sheet
+ * @property {'grid' | 'hex'} [layout]      – preferred packing when arrangements tie
+ * @property {boolean} [custom]             – true for user-defined sizes
  */
 
+/** @type {Object<string, ButtonSize>} */
 export const BUTTON_SIZES = {
+  '1': {
+    name: '1 inch',
+    buttonFaceDiameter: 1.0,
+    cutLineDiameter: 1.313,
+    contentGuideDiameter: 0.906,
+  },
   '1.25': {
     name: '1.25 inch',
     buttonFaceDiameter: 1.25,
@@ -13,23 +44,153 @@ export const BUTTON_SIZES = {
     contentGuideDiameter: 1.156,
     maxRows: 5,
   },
+  '1.5': {
+    name: '1.5 inch',
+    buttonFaceDiameter: 1.5,
+    cutLineDiameter: 1.837,
+    contentGuideDiameter: 1.375,
+  },
+  '1.75': {
+    name: '1.75 inch',
+    buttonFaceDiameter: 1.75,
+    cutLineDiameter: 2.188,
+    contentGuideDiameter: 1.625,
+  },
   '2.25': {
     name: '2.25 inch',
     buttonFaceDiameter: 2.25,
     cutLineDiameter: 2.750,
     contentGuideDiameter: 2.063,
   },
+  '2.5': {
+    name: '2.5 inch',
+    buttonFaceDiameter: 2.5,
+    cutLineDiameter: 3.063,
+    contentGuideDiameter: 2.313,
+  },
+  '3': {
+    name: '3 inch',
+    buttonFaceDiameter: 3.0,
+    cutLineDiameter: 3.5,
+    contentGuideDiameter: 2.75,
+  },
 };
 
+/** Prefix for keys of user-defined sizes, so they never clash with presets. */
+export const CUSTOM_SIZE_PREFIX = 'custom-';
+
+/** @type {Object<string, ButtonSize>} */
+let customSizes = {};
+
 /**
  * Get a ButtonSize object by key.
- * @param {string} key – "1.25" or "2.25"
- * @returns {import('./types').ButtonSize}
+ * @param {string} key – a preset key such as "1.25", or a custom size key
+ * @returns {ButtonSize}
  */
 export function getButtonSize(key) {
-  const size = BUTTON_SIZES[key];
+  const size = BUTTON_SIZES[key] || customSizes[key];
   if (!size) {
     throw new Error(`Unknown button size: ${key}`);
   }
   return size;
 }
+
+/**
+ * Every available size, presets first (smallest to largest) followed by
+ * custom sizes in the order they were added.
+ * @returns {{ key: string, size: ButtonSize }[]}
+ */
+export function getAllButtonSizes() {
+  const presets = Object.entries(BUTTON_SIZES)
+    .sort(([, a], [, b]) => a.buttonFaceDiameter - b.buttonFaceDiameter);
+  return [...presets, ...Object.entries(customSizes)].map(([key, size]) => ({ key, size }));
+}
+
+/**
+ * Replace the registered custom sizes.
+ * @param {Object<string, ButtonSize>} sizes – keyed by custom size key
+ */
+export function setCustomSizes(sizes) {
+  customSizes = {};
+  Object.entries(sizes || {}).forEach(([key, size]) => {
+    if (key.startsWith(CUSTOM_SIZE_PREFIX) && validateButtonSize(size).length === 0) {
+      customSizes[key] = { ...size, custom: true };
+    }
+  });
+}
+
+/**
+ * Currently registered custom sizes, keyed by custom size key.
+ * @returns {Object<string, ButtonSize>}
+ */
+export function getCustomSizes() {
+  return { ...customSizes };
+}
+
+/**
+ * Check a size definition for consistency.
+ * Diameters (and heights, for shapes other than circles) must be positive
+ * and nest: content < face < cut.
+ *
+ * @param {Partial<ButtonSize>} size
+ * @returns {string[]} human-readable problems; empty when valid
+ */
+export function validateButtonSize(size) {
+  const errors = [];
+  const { buttonFaceDiameter: face, cutLineDiameter: cut, contentGuideDiameter: content } = size;
+
+  if (!size.name || !String(size.name).trim()) {
+    errors.push('Name is required.');
+  }
+
+  const shape = size.shape === undefined ? 'circle' : size.shape;
+  const knownShape = BUTTON_SHAPES.some(({ value }) => value === shape);
+  if (!knownShape) {
+    errors.push('Shape must be circle, oval, rectangle or heart.');
+  }
+  const dimension = shape === 'circle' ? 'diameter' : 'width';
+
+  [
+    ['Button face', face],
+    ['Cut line', cut],
+    ['Content guide', content],
+  ].forEach(([label, value]) => {
+    if (!(value > 0) || !isFinite(value)) {
+      errors.push(`${label} ${dimension} must be a positive number.`);
+    }
+  });
+
+  const axes = [[content, face, cut]];
+  if (knownShape && shape !== 'circle') {
+    const { buttonFaceHeight: faceH, cutLineHeight: cutH, contentGuideHeight: contentH } = size;
+    [
+      ['Button face', faceH],
+      ['Cut line', cutH],
+      ['Content guide', contentH],
+    ].forEach(([label, value]) => {
+      if (!(value > 0) || !isFinite(value)) {
+        errors.push(`${label} height must be a positive number.`);
+      }
+    });
+    axes.push([contentH, faceH, cutH]);
+  }
+
+  if (errors.length === 0) {
+    if (axes.some(([c, f]) => c >= f)) {
+      errors.push('Content guide must be smaller than the button face.');
+    }
+    if (axes.some(([, f, k]) => f >= k)) {
+      errors.push('Button face must be smaller than the cut line.');
+    }
+  }
+
+  if (size.maxRows !== undefined && !(Number.isInteger(size.maxRows) && size.maxRows > 0)) {
+    errors.push('Max rows must be a whole number greater than zero.');
+  }
+
+  if (size.layout !== undefined && size.layout !== 'grid' && size.layout !== 'hex') {
+    errors.push('Layout must be grid or hex.');
+  }
+
+  return errors;
+}
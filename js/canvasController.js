@@ -2,15 +2,71 @@
  * Canvas Controller
  *
  * Manages the interactive canvas where users manipulate images.
- * Handles rendering, panning, zooming, mode switching, and guide overlays.
+ * Handles rendering, panning, zooming, mode switching, guide overlays,
+ * and the image and text layers drawn over the image.
  */
 
 import { inchesToPixels } from './measurementConverter.js';
+import { drawDesign } from './designRenderer.js';
+import { findImageContent } from './imageAnalysis.js';
+import { NO_BACKGROUND } from './backgroundFill.js';
+import { NO_ADJUSTMENTS } from './imageAdjustments.js';
+import { createImageLayer, getImageLayerSize } from './imageLayers.js';
+import { SAMPLE_ANGLES } from './preflight.js';
+import {
+  getShape,
+  getGuideSizes,
+  traceShape,
+  getShapeOutline,
+  fitRectInShape,
+} from './buttonShapes.js';
+import {
+  createTextLayer,
+  traceTextLayerOutline,
+  isTextOutsideContentGuide,
+  hitTestTextLayer,
+} from './textLayers.js';
 
 /**
  * @typedef {'resize' | 'preview'} CanvasMode
  */
 
+/** Arrow-key nudge, and with Shift held, in inches */
+const NUDGE_STEP = 0.01;
+const NUDGE_STEP_LARGE = 0.1;
+
+/** Zoom per wheel tick or +/- key press, as a share of the current scale */
+const ZOOM_STEP = 0.05;
+
+/** Smallest scale zooming out can reach */
+const MIN_SCALE = 0.05;
+
+/**
+ * How `fitImage` sizes the image:
+ *   - 'fill-cut'   – image covers the whole cut line
+ *   - 'fit-face'   – whole image inside the button face
+ *   - 'fit-safe'   – whole image inside the content safe area
+ *   - 'fit-width'  – image width spans the cut line
+ *   - 'fit-height' – image height spans the cut line
+ * @typedef {'fill-cut' | 'fit-face' | 'fit-safe' | 'fit-width' | 'fit-height'} FitMode
+ */
+
+/**
+ * @typedef {Object} ImageState
+ * @property {HTMLImageElement | null} image
+ * @property {number} scale
+ * @property {number} offsetX
+ * @property {number} offsetY
+ * @property {number} rotation – degrees clockwise, in (-180, 180]
+ * @property {boolean} flipX   – mirrored left to right (before rotation)
+ * @property {boolean} flipY   – mirrored top to bottom (before rotation)
+ * @property {import('./backgroundFill').Background} background – fill for areas the image doesn't cover
+ * @property {import('./imageAdjustments').Adjustments} adjustments – colour corrections to the image
+ * @property {import('./buttonSizes').ButtonSize} buttonSize
+ * @property {import('./imageLayers').ImageLayer[]} imageLayers – stacked over the image, bottom first
+ * @property {import('./textLayers').TextLayer[]} textLayers
+ */
+
 export class CanvasController {
   /**
    * @param {HTMLCanvasElement} canvas
@@ -27,6 +83,26 @@ export class CanvasController {
     this.scale = 1;
     this.offsetX = 0;
     this.offsetY = 0;
+    this.rotation = 0;
+    this.flipX = false;
+    this.flipY = false;
+    /** @type {import('./backgroundFill').Background} */
+    this.background = NO_BACKGROUND;
+    /** @type {import('./imageAdjustments').Adjustments} */
+    this.adjustments = NO_ADJUSTMENTS;
+
+    // Image layers, drawn over the image in array order. Dragging moves
+    // the selected one, or the image itself when none is selected.
+    /** @type {import('./imageLayers').ImageLayer[]} */
+    this.imageLayers = [];
+    /** @type {number | null} */
+    this.selectedLayerId = null;
+
+    // Text layers, drawn over the image layers in array order
+    /** @type {import('./textLayers').TextLayer[]} */
+    this.textLayers = [];
+    /** @type {number | null} */
+    this.selectedTextId = null;
 
     // Button size (will be set)
     this.buttonSize = null;
@@ -35,12 +111,43 @@ export class CanvasController {
     /** @type {CanvasMode} */
     this.mode = 'resize';
 
+    // Pre-flight problems to highlight in resize mode (set by the owner)
+    /** @type {import('./preflight').PreflightIssue[]} */
+    this.preflightIssues = [];
+
     // Callback for external scale sync (e.g. slider)
     /** @type {((scale: number) => void) | null} */
     this.onScaleChange = null;
 
+    // Callback when text layers change on the canvas (drag, selection)
+    /** @type {(() => void) | null} */
+    this.onTextLayersChange = null;
+
+    // Callback when the selected image layer is zoomed on the canvas
+    /** @type {(() => void) | null} */
+    this.onImageLayersChange = null;
+
+    // Callback after any edit to the design (pan, zoom, rotate, text...).
+    // Related edits in a burst share a merge key (see EditHistory).
+    /** @type {((mergeKey: string | null) => void) | null} */
+    this.onChange = null;
+
+    // Callback after the image is moved or zoomed from the keyboard, so
+    // the owner can announce the new position
+    /** @type {(() => void) | null} */
+    this.onKeyboardEdit = null;
+
+    // Callback when the mode toggle key is pressed; the owner switches
+    // modes (it also swaps the canvas for the page preview)
+    /** @type {(() => void) | null} */
+    this.onModeToggle = null;
+
     // Interaction state
     this._dragging = false;
+    /** @type {import('./textLayers').TextLayer | null} text layer being dragged */
+    this._dragText = null;
+    this._lastCentrePoint = { x: 0, y: 0 };
+    this._gestureId = 0;
     this._lastPointer = { x: 0, y: 0 };
 
     // Bind interaction handlers
@@ -48,12 +155,14 @@ export class CanvasController {
     this._onPointerMove = this._onPointerMove.bind(this);
     this._onPointerUp = this._onPointerUp.bind(this);
     this._onWheel = this._onWheel.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
 
     this.canvas.addEventListener('pointerdown', this._onPointerDown);
     this.canvas.addEventListener('pointermove', this._onPointerMove);
     this.canvas.addEventListener('pointerup', this._onPointerUp);
     this.canvas.addEventListener('pointerleave', this._onPointerUp);
     this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
+    this.canvas.addEventListener('keydown', this._onKeyDown);
   }
 
   /* --------------------------------------------------------
@@ -62,12 +171,44 @@ export class CanvasController {
 
   /**
    * Set the image to display and reset transformations so the image
-   * is centered and scaled to fill the cut-line circle.
+   * is centered and scaled with a fit preset (by default, filling the cut
+   * line). Starts a new design, so any image and text layers, background
+   * and adjustments are cleared.
    * @param {HTMLImageElement} image
+   * @param {FitMode} [fitMode='fill-cut']
    */
-  setImage(image) {
+  setImage(image, fitMode = 'fill-cut') {
     this.image = image;
-    this._resetTransform();
+    this.background = NO_BACKGROUND;
+    this.adjustments = NO_ADJUSTMENTS;
+    this.imageLayers = [];
+    this.selectedLayerId = null;
+    this.textLayers = [];
+    this.selectedTextId = null;
+    this._resetTransform(fitMode);
+    this._sizeCanvas();
+    this.render();
+  }
+
+  /**
+   * Restore a previously captured image state without resetting the
+   * transform (e.g. when switching between queued designs).
+   * @param {ImageState} state
+   */
+  setImageState(state) {
+    this.image = state.image;
+    this.scale = state.scale;
+    this.offsetX = state.offsetX;
+    this.offsetY = state.offsetY;
+    this.rotation = state.rotation || 0;
+    this.flipX = !!state.flipX;
+    this.flipY = !!state.flipY;
+    this.background = state.background || NO_BACKGROUND;
+    this.adjustments = state.adjustments || NO_ADJUSTMENTS;
+    this.imageLayers = (state.imageLayers || []).map((layer) => ({ ...layer }));
+    this.selectedLayerId = null;
+    this.textLayers = (state.textLayers || []).map((layer) => ({ ...layer }));
+    this.selectedTextId = null;
     this._sizeCanvas();
     this.render();
   }
@@ -92,6 +233,7 @@ export class CanvasController {
     if (scaleFactor <= 0) return;
     this.scale = scaleFactor;
     this.render();
+    this._emitChange('zoom');
   }
 
   /**
@@ -103,6 +245,129 @@ export class CanvasController {
     this.offsetX += deltaX;
     this.offsetY += deltaY;
     this.render();
+    this._emitChange('pan');
+  }
+
+  /**
+   * Move the image to absolute offsets from the button centre.
+   * @param {number} offsetX – px, right is positive
+   * @param {number} offsetY – px, down is positive
+   */
+  moveImage(offsetX, offsetY) {
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.render();
+    this._emitChange('pan');
+  }
+
+  /**
+   * Set the image rotation.
+   * @param {number} degrees – clockwise; normalised to (-180, 180]
+   */
+  rotateImage(degrees) {
+    this.rotation = normalizeAngle(degrees);
+    this.render();
+    this._emitChange('rotate');
+  }
+
+  /**
+   * Mirror the image as seen on screen.
+   *
+   * Flips are stored in the image's own frame, underneath the rotation.
+   * Mirroring a rotated image on screen is the same as flipping it in its
+   * own frame and reversing the rotation, so both are updated together.
+   *
+   * @param {'horizontal' | 'vertical'} axis
+   */
+  flipImage(axis) {
+    if (axis === 'horizontal') {
+      this.flipX = !this.flipX;
+    } else {
+      this.flipY = !this.flipY;
+    }
+    this.rotation = normalizeAngle(-this.rotation);
+    this.render();
+    this._emitChange();
+  }
+
+  /**
+   * Size the image with a fit preset and centre it. Rotation and flips
+   * are kept; width and height fits measure the image as rotated.
+   * @param {FitMode} mode
+   */
+  fitImage(mode) {
+    if (!this.image || !this.buttonSize) return;
+    this.scale = this._fitScale(mode);
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.render();
+    this._emitChange();
+  }
+
+  /**
+   * Move the image so its content, rather than its geometric middle, sits
+   * in the centre of the button (see imageAnalysis). When the image covers
+   * the cut line, the move is limited so it still does.
+   * @returns {boolean} false if no distinct content was found
+   */
+  smartCenter() {
+    if (!this.image || !this.buttonSize) return false;
+    const content = findImageContent(this.image);
+    if (!content) return false;
+
+    // Content centre relative to the image centre, in image pixels, then
+    // through the same flip → rotate → scale as drawDesign
+    let px = content.centerX - this.image.naturalWidth / 2;
+    let py = content.centerY - this.image.naturalHeight / 2;
+    if (this.flipX) px = -px;
+    if (this.flipY) py = -py;
+    const rad = this.rotation * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const dx = (px * cos - py * sin) * this.scale;
+    const dy = (px * sin + py * cos) * this.scale;
+
+    const { halfWidth, halfHeight } = this._rotatedHalfExtents();
+    const { cut } = getGuideSizes(this.buttonSize);
+    const limit = (half, cutSize) => {
+      const cutHalf = inchesToPixels(cutSize / 2);
+      return half >= cutHalf ? half - cutHalf : Infinity;
+    };
+    this.offsetX = clamp(-dx, limit(halfWidth, cut.width));
+    this.offsetY = clamp(-dy, limit(halfHeight, cut.height));
+
+    this.render();
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Change the background drawn where the image doesn't reach.
+   * @param {Partial<import('./backgroundFill').Background>} props
+   */
+  setBackground(props) {
+    this.background = { ...this.background, ...props };
+    this.render();
+    this._emitChange('background');
+  }
+
+  /**
+   * Change the colour adjustments applied to the image.
+   * @param {Partial<import('./imageAdjustments').Adjustments>} props
+   */
+  setAdjustments(props) {
+    this.adjustments = { ...this.adjustments, ...props };
+    this.render();
+    this._emitChange('adjustments');
+  }
+
+  /**
+   * Put the image back to its original colours.
+   */
+  resetAdjustments() {
+    this.adjustments = NO_ADJUSTMENTS;
+    this.render();
+    this._emitChange();
   }
 
   /**
@@ -114,8 +379,158 @@ export class CanvasController {
     this.render();
   }
 
+  /**
+   * Set the pre-flight problems to highlight on the canvas.
+   * @param {import('./preflight').PreflightIssue[]} issues
+   */
+  setPreflightIssues(issues) {
+    const changed = issues.length > 0 || this.preflightIssues.length > 0;
+    this.preflightIssues = issues;
+    if (changed) this.render();
+  }
+
+  /**
+   * Add an image layer on top of the others and select it. New layers
+   * are centred and sized to fit inside the safe area.
+   * @param {HTMLImageElement} image
+   * @param {string} name
+   * @returns {import('./imageLayers').ImageLayer}
+   */
+  addImageLayer(image, name) {
+    const layer = createImageLayer(image, { name, scale: this._fitLayerScale(image) });
+    this.imageLayers.push(layer);
+    this.selectedLayerId = layer.id;
+    this.render();
+    this._emitChange();
+    return layer;
+  }
+
+  /**
+   * Change properties of an image layer.
+   * @param {number} id
+   * @param {Partial<import('./imageLayers').ImageLayer>} props
+   */
+  updateImageLayer(id, props) {
+    const layer = this.imageLayers.find((l) => l.id === id);
+    if (!layer) return;
+    Object.assign(layer, props, { id });
+    this.render();
+    this._emitChange(`layer-${id}`);
+  }
+
+  /**
+   * Move an image layer one step up (towards the top) or down the stack.
+   * @param {number} id
+   * @param {1 | -1} direction – 1 = up
+   */
+  reorderImageLayer(id, direction) {
+    const from = this.imageLayers.findIndex((l) => l.id === id);
+    const to = from + direction;
+    if (from < 0 || to < 0 || to >= this.imageLayers.length) return;
+    const [layer] = this.imageLayers.splice(from, 1);
+    this.imageLayers.splice(to, 0, layer);
+    this.render();
+    this._emitChange();
+  }
+
+  /**
+   * Remove an image layer.
+   * @param {number} id
+   */
+  removeImageLayer(id) {
+    this.imageLayers = this.imageLayers.filter((l) => l.id !== id);
+    if (this.selectedLayerId === id) {
+      this.selectedLayerId = null;
+    }
+    this.render();
+    this._emitChange();
+  }
+
+  /**
+   * Select the image layer that dragging moves, or pass null for the
+   * main image.
+   * @param {number | null} id
+   */
+  selectImageLayer(id) {
+    this.selectedLayerId = this.imageLayers.some((l) => l.id === id) ? id : null;
+    this.render();
+  }
+
+  /**
+   * @returns {import('./imageLayers').ImageLayer | null}
+   */
+  getSelectedImageLayer() {
+    return this.imageLayers.find((l) => l.id === this.selectedLayerId) || null;
+  }
+
+  /**
+   * Add a text layer on top of the others and select it.
+   * @param {Partial<import('./textLayers').TextLayer>} [props]
+   * @returns {import('./textLayers').TextLayer}
+   */
+  addTextLayer(props = {}) {
+    const layer = createTextLayer(props);
+    this.textLayers.push(layer);
+    this.selectedTextId = layer.id;
+    this.render();
+    this._emitChange();
+    return layer;
+  }
+
+  /**
+   * Change properties of a text layer.
+   * @param {number} id
+   * @param {Partial<import('./textLayers').TextLayer>} props
+   */
+  updateTextLayer(id, props) {
+    const layer = this.textLayers.find((l) => l.id === id);
+    if (!layer) return;
+    Object.assign(layer, props, { id });
+    this.render();
+    this._emitChange(`text-${id}`);
+  }
+
+  /**
+   * Remove a text layer.
+   * @param {number} id
+   */
+  removeTextLayer(id) {
+    this.textLayers = this.textLayers.filter((l) => l.id !== id);
+    if (this.selectedTextId === id) {
+      this.selectedTextId = null;
+    }
+    this.render();
+    this._emitChange();
+  }
+
+  /**
+   * Select a text layer for editing, or pass null to clear the selection.
+   * @param {number | null} id
+   */
+  selectTextLayer(id) {
+    this.selectedTextId = this.textLayers.some((l) => l.id === id) ? id : null;
+    this.render();
+  }
+
+  /**
+   * @returns {import('./textLayers').TextLayer | null}
+   */
+  getSelectedTextLayer() {
+    return this.textLayers.find((l) => l.id === this.selectedTextId) || null;
+  }
+
+  /**
+   * Text layers that extend past the content guide (safe area).
+   * @returns {import('./textLayers').TextLayer[]}
+   */
+  getTextLayersOutsideSafeArea() {
+    if (!this.buttonSize) return [];
+    return this.textLayers.filter((layer) => isTextOutsideContentGuide(this.ctx, layer, this.buttonSize));
+  }
+
   /**
    * Return a snapshot of the current image state (for printing).
+   * @returns {ImageState}
    */
   getImageState() {
     return {
@@ -123,7 +538,14 @@ export class CanvasController {
       scale: this.scale,
       offsetX: this.offsetX,
       offsetY: this.offsetY,
+      rotation: this.rotation,
+      flipX: this.flipX,
+      flipY: this.flipY,
+      background: this.background,
+      adjustments: this.adjustments,
       buttonSize: this.buttonSize,
+      imageLayers: this.imageLayers.map((layer) => ({ ...layer })),
+      textLayers: this.textLayers.map((layer) => ({ ...layer })),
     };
   }
 
@@ -141,63 +563,64 @@ export class CanvasController {
 
     if (!this.image || !this.buttonSize) return;
 
-    const cutRadius = inchesToPixels(this.buttonSize.cutLineDiameter / 2);
-    const faceRadius = inchesToPixels(this.buttonSize.buttonFaceDiameter / 2);
-    const contentRadius = inchesToPixels(this.buttonSize.contentGuideDiameter / 2);
+    const shape = getShape(this.buttonSize);
+    const guides = getGuideSizes(this.buttonSize);
+    const cut = toPixelSize(guides.cut);
+    const face = toPixelSize(guides.face);
+    const content = toPixelSize(guides.content);
 
     if (this.mode === 'preview') {
       // --- Preview mode: clip to content guide, no overlay ---
       ctx.save();
       ctx.beginPath();
-      ctx.arc(cx, cy, contentRadius, 0, Math.PI * 2);
-      ctx.closePath();
+      this._traceGuide(ctx, cx, cy, shape, content);
       ctx.clip();
 
-      this._drawImage(ctx, cx, cy);
+      this._drawDesign(ctx, cx, cy);
 
       ctx.restore();
     } else {
       // --- Resize mode: draw image then semi-transparent overlay with guides ---
       // Draw the full image first
-      this._drawImage(ctx, cx, cy);
+      this._drawDesign(ctx, cx, cy);
+      this._drawPreflightHighlights(ctx, cx, cy, shape, cut);
 
       // Semi-transparent overlay outside the cut line
       ctx.save();
       ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
       ctx.beginPath();
       ctx.rect(0, 0, w, h);
-      ctx.arc(cx, cy, cutRadius, 0, Math.PI * 2, true); // counter-clockwise to cut hole
-      ctx.closePath();
-      ctx.fill();
+      this._traceGuide(ctx, cx, cy, shape, cut);
+      ctx.fill('evenodd'); // the cut shape is a hole in the overlay
       ctx.restore();
 
-      // Cut line circle
+      // Cut line
       ctx.save();
       ctx.strokeStyle = '#ef4444';
       ctx.lineWidth = 2;
       ctx.setLineDash([]);
       ctx.beginPath();
-      ctx.arc(cx, cy, cutRadius, 0, Math.PI * 2);
+      this._traceGuide(ctx, cx, cy, shape, cut);
       ctx.stroke();
       ctx.restore();
 
-      // Button face circle
+      // Button face
       ctx.save();
       ctx.strokeStyle = '#3b82f6';
       ctx.lineWidth = 2;
       ctx.setLineDash([6, 4]);
       ctx.beginPath();
-      ctx.arc(cx, cy, faceRadius, 0, Math.PI * 2);
+      this._traceGuide(ctx, cx, cy, shape, face);
       ctx.stroke();
       ctx.restore();
 
-      // Content guide circle
+      // Content guide
       ctx.save();
       ctx.strokeStyle = '#22c55e';
       ctx.lineWidth = 2;
       ctx.setLineDash([6, 4]);
       ctx.beginPath();
-      ctx.arc(cx, cy, contentRadius, 0, Math.PI * 2);
+      this._traceGuide(ctx, cx, cy, shape, content);
       ctx.stroke();
       ctx.restore();
 
@@ -207,16 +630,19 @@ export class CanvasController {
 
       // Cut line label
       ctx.fillStyle = '#ef4444';
-      ctx.fillText('Cut line', cx + cutRadius + 6, cy - 8);
+      ctx.fillText('Cut line', cx + cut.width / 2 + 6, cy - 8);
 
       // Button face label
       ctx.fillStyle = '#3b82f6';
-      ctx.fillText('Button face', cx + faceRadius + 6, cy + 6);
+      ctx.fillText('Button face', cx + face.width / 2 + 6, cy + 6);
 
       // Content guide label
       ctx.fillStyle = '#22c55e';
-      ctx.fillText('Safe area', cx + contentRadius + 6, cy + 20);
+      ctx.fillText('Safe area', cx + content.width / 2 + 6, cy + 20);
       ctx.restore();
+
+      this._drawImageLayerHighlight(ctx, cx, cy);
+      this._drawTextHighlights(ctx, cx, cy);
     }
   }
 
@@ -225,15 +651,150 @@ export class CanvasController {
      -------------------------------------------------------- */
 
   /**
-   * Draw the image centred on (cx, cy) using the current scale & offset.
+   * Tell the owner the design was edited. Everything during one pointer
+   * drag shares a merge key, whatever was changed.
+   * @param {string | null} [mergeKey]
+   */
+  _emitChange(mergeKey = null) {
+    if (!this.onChange) return;
+    this.onChange(this._dragging ? `drag-${this._gestureId}` : mergeKey);
+  }
+
+  /**
+   * Draw the image and text layers centred on (cx, cy) using the current
+   * scale & offset, exactly as they will print.
    */
-  _drawImage(ctx, cx, cy) {
-    const img = this.image;
-    const drawW = img.naturalWidth * this.scale;
-    const drawH = img.naturalHeight * this.scale;
-    const x = cx - drawW / 2 + this.offsetX;
-    const y = cy - drawH / 2 + this.offsetY;
-    ctx.drawImage(img, x, y, drawW, drawH);
+  _drawDesign(ctx, cx, cy) {
+    drawDesign(ctx, this.getImageState(), cx, cy, 1.0, { preview: true });
+  }
+
+  /**
+   * Add a guide's outline, centred on (cx, cy), to the current path.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx
+   * @param {number} cy
+   * @param {import('./buttonShapes').ButtonShape} shape
+   * @param {import('./buttonShapes').ShapeSize} size – CSS px
+   */
+  _traceGuide(ctx, cx, cy, shape, size) {
+    ctx.save();
+    ctx.translate(cx, cy);
+    traceShape(ctx, shape, size.width, size.height);
+    ctx.restore();
+  }
+
+  /**
+   * Outline the selected image layer in resize mode.
+   */
+  _drawImageLayerHighlight(ctx, cx, cy) {
+    const layer = this.getSelectedImageLayer();
+    if (!layer || !layer.visible) return;
+    const { width, height } = getImageLayerSize(layer);
+
+    ctx.save();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(cx + layer.offsetX - width / 2, cy + layer.offsetY - height / 2, width, height);
+    ctx.restore();
+  }
+
+  /**
+   * Outline the selected text layer, and any layer that crosses the safe
+   * area, in resize mode.
+   */
+  _drawTextHighlights(ctx, cx, cy) {
+    this.textLayers.forEach((layer) => {
+      const outside = isTextOutsideContentGuide(ctx, layer, this.buttonSize);
+      const selected = layer.id === this.selectedTextId;
+      if (!outside && !selected) return;
+
+      ctx.save();
+      ctx.translate(cx, cy);
+      traceTextLayerOutline(ctx, layer, this.buttonSize);
+      ctx.strokeStyle = outside ? '#f59e0b' : '#ffffff';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.stroke();
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Shade the problems found by the pre-flight checks: uncovered paper
+   * inside the cut line in red, transparent parts of the wrap zone in
+   * amber.
+   */
+  _drawPreflightHighlights(ctx, cx, cy, shape, cut) {
+    this.preflightIssues.forEach(({ highlight }) => {
+      if (!highlight) return;
+
+      ctx.save();
+      ctx.translate(cx, cy);
+      ctx.beginPath();
+      if (highlight.kind === 'uncovered') {
+        // The cut shape minus the image and visible layer rectangles
+        traceShape(ctx, shape, cut.width, cut.height);
+        ctx.clip();
+        this.imageLayers.forEach((layer) => {
+          if (!layer.visible || layer.opacity <= 0) return;
+          const { width, height } = getImageLayerSize(layer);
+          ctx.beginPath();
+          ctx.rect(-cut.width / 2, -cut.height / 2, cut.width, cut.height);
+          ctx.rect(layer.offsetX - width / 2, layer.offsetY - height / 2, width, height);
+          ctx.clip('evenodd');
+        });
+        ctx.beginPath();
+        ctx.rect(-cut.width / 2, -cut.height / 2, cut.width, cut.height);
+        ctx.translate(this.offsetX, this.offsetY);
+        ctx.rotate(this.rotation * Math.PI / 180);
+        const drawW = this.image.naturalWidth * this.scale;
+        const drawH = this.image.naturalHeight * this.scale;
+        ctx.rect(-drawW / 2, -drawH / 2, drawW, drawH);
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.45)';
+        ctx.fill('evenodd');
+      } else {
+        // Outline points half a sample either side of each sampled segment
+        const { inner, outer } = highlight;
+        const innerPoints = getShapeOutline(shape, inner.width, inner.height, SAMPLE_ANGLES, -0.5);
+        const outerPoints = getShapeOutline(shape, outer.width, outer.height, SAMPLE_ANGLES, -0.5);
+        highlight.segments.forEach((i) => {
+          const next = (i + 1) % SAMPLE_ANGLES;
+          ctx.moveTo(outerPoints[i].x, outerPoints[i].y);
+          ctx.lineTo(outerPoints[next].x, outerPoints[next].y);
+          ctx.lineTo(innerPoints[next].x, innerPoints[next].y);
+          ctx.lineTo(innerPoints[i].x, innerPoints[i].y);
+          ctx.closePath();
+        });
+        ctx.fillStyle = 'rgba(245, 158, 11, 0.5)';
+        ctx.fill();
+      }
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Convert a pointer event to canvas coordinates relative to the centre.
+   */
+  _toCentrePoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.canvas.width / rect.width) - this.canvas.width / 2,
+      y: (e.clientY - rect.top) * (this.canvas.height / rect.height) - this.canvas.height / 2,
+    };
+  }
+
+  /**
+   * Topmost text layer under a point (centre coordinates), if any.
+   */
+  _textLayerAt(point) {
+    for (let i = this.textLayers.length - 1; i >= 0; i--) {
+      const layer = this.textLayers[i];
+      if (hitTestTextLayer(this.ctx, layer, this.buttonSize, point.x, point.y)) {
+        return layer;
+      }
+    }
+    return null;
   }
 
   /**
@@ -252,25 +813,81 @@ export class CanvasController {
   }
 
   /**
-   * Reset image transform so the image fills the cut-line circle.
+   * Reset image transform so the image is centred and sized with a fit
+   * preset.
+   * @param {FitMode} [fitMode='fill-cut']
    */
-  _resetTransform() {
-    if (!this.image || !this.buttonSize) {
-      this.scale = 1;
-      this.offsetX = 0;
-      this.offsetY = 0;
-      return;
-    }
+  _resetTransform(fitMode = 'fill-cut') {
+    this.rotation = 0;
+    this.flipX = false;
+    this.flipY = false;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.scale = this.image && this.buttonSize ? this._fitScale(fitMode) : 1;
+  }
 
-    const cutDiameterPx = inchesToPixels(this.buttonSize.cutLineDiameter);
+  /**
+   * Scale that fits the current image to a preset.
+   * @param {FitMode} mode
+   * @returns {number}
+   */
+  _fitScale(mode) {
+    const shape = getShape(this.buttonSize);
+    const guides = getGuideSizes(this.buttonSize);
+    const cut = toPixelSize(guides.cut);
     const imgW = this.image.naturalWidth;
     const imgH = this.image.naturalHeight;
-    const minDim = Math.min(imgW, imgH);
+    // A rectangle fits inside a circle when its diagonal does
+    const diagonal = Math.hypot(imgW, imgH);
+    const { halfWidth, halfHeight } = this._rotatedHalfExtents(1);
+    const fitInside = (guide) => {
+      const size = toPixelSize(guide);
+      return shape === 'circle'
+        ? size.width / diagonal
+        : fitRectInShape(shape, size.width, size.height, halfWidth * 2, halfHeight * 2);
+    };
 
-    // Scale so the smaller dimension fills the cut-line circle diameter
-    this.scale = cutDiameterPx / minDim;
-    this.offsetX = 0;
-    this.offsetY = 0;
+    switch (mode) {
+      case 'fit-face':
+        return fitInside(guides.face);
+      case 'fit-safe':
+        return fitInside(guides.content);
+      case 'fit-width':
+        return cut.width / (halfWidth * 2);
+      case 'fit-height':
+        return cut.height / (halfHeight * 2);
+      case 'fill-cut':
+      default: {
+        // Scale so the smaller dimension fills the cut-line circle diameter
+        if (shape === 'circle') return cut.width / Math.min(imgW, imgH);
+        // Otherwise cover the cut line's bounding box, seen from the image's
+        // own (rotated) axes
+        const rad = this.rotation * Math.PI / 180;
+        const cos = Math.abs(Math.cos(rad));
+        const sin = Math.abs(Math.sin(rad));
+        return Math.max(
+          (cut.width * cos + cut.height * sin) / imgW,
+          (cut.width * sin + cut.height * cos) / imgH,
+        );
+      }
+    }
+  }
+
+  /**
+   * Half the width and height of the rotated image's bounding box.
+   * @param {number} [scale=this.scale]
+   * @returns {{ halfWidth: number, halfHeight: number }}
+   */
+  _rotatedHalfExtents(scale = this.scale) {
+    const rad = this.rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(rad));
+    const sin = Math.abs(Math.sin(rad));
+    const w = this.image.naturalWidth * scale;
+    const h = this.image.naturalHeight * scale;
+    return {
+      halfWidth: (w * cos + h * sin) / 2,
+      halfHeight: (w * sin + h * cos) / 2,
+    };
   }
 
   /* --------------------------------------------------------
@@ -280,8 +897,17 @@ export class CanvasController {
   _onPointerDown(e) {
     if (this.mode === 'preview') return;
     this._dragging = true;
+    this._gestureId++;
     this._lastPointer = { x: e.clientX, y: e.clientY };
     this.canvas.setPointerCapture(e.pointerId);
+
+    // Text on top takes the drag; anywhere else pans the image
+    this._lastCentrePoint = this._toCentrePoint(e);
+    this._dragText = this.buttonSize ? this._textLayerAt(this._lastCentrePoint) : null;
+    if (this._dragText && this._dragText.id !== this.selectedTextId) {
+      this.selectTextLayer(this._dragText.id);
+      if (this.onTextLayersChange) this.onTextLayersChange();
+    }
   }
 
   _onPointerMove(e) {
@@ -289,19 +915,178 @@ export class CanvasController {
     const dx = e.clientX - this._lastPointer.x;
     const dy = e.clientY - this._lastPointer.y;
     this._lastPointer = { x: e.clientX, y: e.clientY };
-    this.panImage(dx, dy);
+
+    const point = this._toCentrePoint(e);
+    const previous = this._lastCentrePoint;
+    this._lastCentrePoint = point;
+
+    const layer = this._dragText;
+    if (!layer) {
+      this._moveSelection(dx, dy);
+      return;
+    }
+
+    if (layer.placement === 'straight') {
+      layer.x += dx;
+      layer.y += dy;
+    } else {
+      // Curved text slides along its circle by the angle the pointer swept
+      let delta = (Math.atan2(point.x, -point.y) - Math.atan2(previous.x, -previous.y)) * 180 / Math.PI;
+      if (delta > 180) delta -= 360;
+      if (delta < -180) delta += 360;
+      layer.angle = ((layer.angle + delta + 540) % 360) - 180;
+    }
+    this.render();
+    this._emitChange();
+    if (this.onTextLayersChange) this.onTextLayersChange();
   }
 
   _onPointerUp(e) {
     this._dragging = false;
+    this._dragText = null;
   }
 
   _onWheel(e) {
     if (this.mode === 'preview') return;
     e.preventDefault();
-    const delta = e.deltaY > 0 ? -0.05 : 0.05;
-    const newScale = Math.max(0.05, this.scale + delta * this.scale);
-    this.scaleImage(newScale);
+    this._zoomBy(e.deltaY > 0 ? -ZOOM_STEP : ZOOM_STEP);
+  }
+
+  /**
+   * Keyboard control of the focused canvas: arrows nudge the image or the
+   * selected layer (further with Shift), +/- zoom, 0 resets the fit, M
+   * toggles the mode.
+   */
+  _onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === 'm' || e.key === 'M') {
+      e.preventDefault();
+      if (this.onModeToggle) this.onModeToggle();
+      return;
+    }
+    if (this.mode === 'preview' || !this.image) return;
+
+    const step = inchesToPixels(e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP);
+    switch (e.key) {
+      case 'ArrowLeft':
+        this._moveSelection(-step, 0);
+        break;
+      case 'ArrowRight':
+        this._moveSelection(step, 0);
+        break;
+      case 'ArrowUp':
+        this._moveSelection(0, -step);
+        break;
+      case 'ArrowDown':
+        this._moveSelection(0, step);
+        break;
+      case '+':
+      case '=':
+        this._zoomBy(ZOOM_STEP);
+        break;
+      case '-':
+      case '_':
+        this._zoomBy(-ZOOM_STEP);
+        break;
+      case '0':
+        this._resetSelection();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (this.onKeyboardEdit) this.onKeyboardEdit();
+  }
+
+  /**
+   * Move the selected image layer, or the image when none is selected.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  _moveSelection(dx, dy) {
+    const layer = this.getSelectedImageLayer();
+    if (layer) {
+      this.updateImageLayer(layer.id, { offsetX: layer.offsetX + dx, offsetY: layer.offsetY + dy });
+    } else {
+      this.panImage(dx, dy);
+    }
+  }
+
+  /**
+   * Re-fit the selected image layer to the safe area, or the image to the
+   * cut line when none is selected, and centre it.
+   */
+  _resetSelection() {
+    const layer = this.getSelectedImageLayer();
+    if (layer) {
+      this.updateImageLayer(layer.id, { scale: this._fitLayerScale(layer.image), offsetX: 0, offsetY: 0 });
+      if (this.onImageLayersChange) this.onImageLayersChange();
+      return;
+    }
+    this.fitImage('fill-cut');
     if (this.onScaleChange) this.onScaleChange(this.scale);
   }
+
+  /**
+   * Scale at which an image layer fits inside the safe area.
+   * @param {HTMLImageElement} image
+   * @returns {number}
+   */
+  _fitLayerScale(image) {
+    if (!this.buttonSize) return 1;
+    const { content } = getGuideSizes(this.buttonSize);
+    return fitRectInShape(
+      getShape(this.buttonSize),
+      inchesToPixels(content.width),
+      inchesToPixels(content.height),
+      image.naturalWidth,
+      image.naturalHeight,
+    );
+  }
+
+  /**
+   * Zoom the selected image layer, or the image when none is selected, by
+   * a share of its current scale.
+   * @param {number} delta – e.g. 0.05 = 5 % larger
+   */
+  _zoomBy(delta) {
+    const layer = this.getSelectedImageLayer();
+    if (layer) {
+      this.updateImageLayer(layer.id, { scale: Math.max(MIN_SCALE, layer.scale * (1 + delta)) });
+      if (this.onImageLayersChange) this.onImageLayersChange();
+      return;
+    }
+    this.scaleImage(Math.max(MIN_SCALE, this.scale + delta * this.scale));
+    if (this.onScaleChange) this.onScaleChange(this.scale);
+  }
+}
+
+/**
+ * Limit a value to [-limit, limit].
+ * @param {number} value
+ * @param {number} limit
+ * @returns {number}
+ */
+function clamp(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+/**
+ * A guide size in CSS pixels.
+ * @param {import('./buttonShapes').ShapeSize} size – inches
+ * @returns {import('./buttonShapes').ShapeSize}
+ */
+function toPixelSize(size) {
+  return { width: inchesToPixels(size.width), height: inchesToPixels(size.height) };
+}
+
+/**
+ * Normalise an angle in degrees to (-180, 180].
+ * @param {number} degrees
+ * @returns {number}
+ */
+function normalizeAngle(degrees) {
+  const a = ((degrees % 360) + 360) % 360;
+  return a > 180 ? a - 360 : a;
 }
@@ -0,0 +1,152 @@
+/**
+ * Design Queue
+ *
+ * Keeps every design loaded for the current print run. Each design holds
+ * its own image transform (scale/offset) and an optional quantity so a
+ * single sheet can carry several different buttons.
+ */
+
+/**
+ * @typedef {Object} Design
+ * @property {number} id
+ * @property {string} name
+ * @property {import('./canvasController').ImageState} imageState
+ * @property {number | null} quantity – fixed button count, or null to share the leftover slots
+ * @property {import('./personalization').NameBatch | null} batch – names to print one button each for
+ */
+
+export class DesignQueue {
+  constructor() {
+    /** @type {Design[]} */
+    this.designs = [];
+    /** @type {number | null} */
+    this.activeId = null;
+    this._nextId = 1;
+  }
+
+  /**
+   * Add a design to the end of the queue and make it the active one.
+   * @param {string} name
+   * @param {import('./canvasController').ImageState} imageState
+   * @returns {Design}
+   */
+  add(name, imageState) {
+    const design = {
+      id: this._nextId++,
+      name,
+      imageState: { ...imageState },
+      quantity: null,
+      batch: null,
+    };
+    this.designs.push(design);
+    this.activeId = design.id;
+    return design;
+  }
+
+  /**
+   * Remove a design. If it was active, the first remaining design
+   * becomes active (or none, when the queue is empty).
+   * @param {number} id
+   */
+  remove(id) {
+    this.designs = this.designs.filter((d) => d.id !== id);
+    if (this.activeId === id) {
+      this.activeId = this.designs.length ? this.designs[0].id : null;
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Design | null}
+   */
+  get(id) {
+    return this.designs.find((d) => d.id === id) || null;
+  }
+
+  /**
+   * @returns {Design | null}
+   */
+  getActive() {
+    return this.activeId === null ? null : this.get(this.activeId);
+  }
+
+  /**
+   * @param {number} id
+   */
+  setActive(id) {
+    if (this.get(id)) {
+      this.activeId = id;
+    }
+  }
+
+  /**
+   * Store the latest image state for the active design.
+   * @param {import('./canvasController').ImageState} imageState
+   */
+  updateActive(imageState) {
+    const design = this.getActive();
+    if (design) {
+      design.imageState = { ...imageState };
+    }
+  }
+
+  /**
+   * Set a fixed quantity for a design. Anything that isn't a positive
+   * integer clears the quantity so the design shares leftover slots.
+   * @param {number} id
+   * @param {number | null} quantity
+   */
+  setQuantity(id, quantity) {
+    const design = this.get(id);
+    if (!design) return;
+    design.quantity = Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+  }
+
+  /**
+   * Personalize a design with a batch of names, or clear its batch.
+   * @param {number} id
+   * @param {import('./personalization').NameBatch | null} batch
+   */
+  setBatch(id, batch) {
+    const design = this.get(id);
+    if (design) {
+      design.batch = batch;
+    }
+  }
+
+  /**
+   * Capture the queue's contents (e.g. for undo history).
+   * @returns {{ designs: Design[], activeId: number | null }}
+   */
+  snapshot() {
+    return {
+      designs: this.designs.map((d) => ({ ...d, imageState: { ...d.imageState } })),
+      activeId: this.activeId,
+    };
+  }
+
+  /**
+   * Put back contents captured by `snapshot`. Ids handed out since are
+   * not reused.
+   * @param {{ designs: Design[], activeId: number | null }} snapshot
+   */
+  restore(snapshot) {
+    this.designs = snapshot.designs.map((d) => ({ ...d, imageState: { ...d.imageState } }));
+    this.activeId = snapshot.activeId;
+  }
+
+  /**
+   * Remove every design (e.g. before opening a saved project).
+   */
+  clear() {
+    this.designs = [];
+    this.activeId = null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.designs.length === 0;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Design Renderer
+ *
+ * Draws a design (background, adjusted image, image layers and text
+ * layers) centred on a point.
+ * The interactive canvas, the on-screen print preview and every print and
+ * export path go through here, so they all produce the same button.
+ */
+
+import { drawTextLayer } from './textLayers.js';
+import { drawImageLayer } from './imageLayers.js';
+import { drawBackground } from './backgroundFill.js';
+import { toCalibration } from './measurementConverter.js';
+import { getAdjustedImage, PREVIEW_SIZE } from './imageAdjustments.js';
+
+/**
+ * Draw a design centred on (cx, cy). Units are CSS pixels.
+ *
+ * The interactive canvas works in uncalibrated dimensions; on a calibrated
+ * print canvas the cut circle is `cal.x` times wider and `cal.y` times
+ * taller, so the whole design (offsets included) is scaled by the same
+ * factors to fill it the same way. The calibration stretch is applied
+ * outside rotation, along the page axes. Rotation and flips apply to the
+ * main image only; the background follows them, and image and text layers
+ * are positioned independently.
+ *
+ * On-screen drawing passes `preview`, which draws colour-adjusted images
+ * from a smaller copy so adjustments stay quick to drag.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @param {{ preview?: boolean }} [options]
+ */
+export function drawDesign(ctx, imageState, cx, cy, cal = 1.0, options = {}) {
+  const maxImageSize = options.preview ? PREVIEW_SIZE : Infinity;
+  const { x: calX, y: calY } = toCalibration(cal);
+  const { image, scale, offsetX, offsetY, buttonSize, imageLayers = [], textLayers = [] } = imageState;
+  const { rotation = 0, flipX = false, flipY = false } = imageState;
+
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.scale(calX, calY);
+
+  drawBackground(ctx, imageState, maxImageSize);
+
+  if (image) {
+    const drawW = image.naturalWidth * scale;
+    const drawH = image.naturalHeight * scale;
+    // Rotate and flip about the image's own centre
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+    ctx.drawImage(getAdjustedImage(image, imageState.adjustments, maxImageSize), -drawW / 2, -drawH / 2, drawW, drawH);
+    ctx.restore();
+  }
+
+  imageLayers.forEach((layer) => drawImageLayer(ctx, layer));
+  textLayers.forEach((layer) => drawTextLayer(ctx, layer, buttonSize));
+  ctx.restore();
+}
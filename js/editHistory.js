@@ -0,0 +1,100 @@
+/**
+ * Edit History
+ *
+ * Undo/redo stacks of editor snapshots. The owner records a snapshot
+ * after every edit; bursts of related edits (one drag, a run of wheel
+ * ticks, a slider sweep) share a merge key and collapse into a single
+ * entry, so one undo steps back over the whole burst.
+ */
+
+/** Edits with the same merge key closer together than this are merged, in ms */
+const MERGE_WINDOW = 1000;
+
+/** Oldest entries are dropped beyond this many */
+const DEFAULT_LIMIT = 100;
+
+export class EditHistory {
+  /**
+   * @param {number} [limit=DEFAULT_LIMIT] – maximum undo steps kept
+   */
+  constructor(limit = DEFAULT_LIMIT) {
+    this.limit = limit;
+    /** @type {any[]} */
+    this._undo = [];
+    /** @type {any[]} */
+    this._redo = [];
+    this._current = null;
+    /** @type {string | null} */
+    this._lastKey = null;
+    this._lastTime = 0;
+  }
+
+  /**
+   * Forget all history and start again from a state (e.g. after opening
+   * a project).
+   * @param {any} state
+   */
+  reset(state) {
+    this._undo = [];
+    this._redo = [];
+    this._current = state;
+    this._lastKey = null;
+  }
+
+  /**
+   * Record the state after an edit.
+   * @param {any} state
+   * @param {string | null} [mergeKey] – edits sharing a key merge while they
+   *   keep arriving within MERGE_WINDOW; null never merges
+   */
+  record(state, mergeKey = null) {
+    const now = Date.now();
+    const merge = mergeKey !== null && mergeKey === this._lastKey && now - this._lastTime < MERGE_WINDOW;
+
+    if (!merge && this._current !== null) {
+      this._undo.push(this._current);
+      if (this._undo.length > this.limit) {
+        this._undo.shift();
+      }
+    }
+
+    this._current = state;
+    this._redo = [];
+    this._lastKey = mergeKey;
+    this._lastTime = now;
+  }
+
+  /**
+   * Step back one entry.
+   * @returns {any | null} the state to restore, or null when there is none
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this._redo.push(this._current);
+    this._current = this._undo.pop();
+    this._lastKey = null;
+    return this._current;
+  }
+
+  /**
+   * Step forward one entry.
+   * @returns {any | null} the state to restore, or null when there is none
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this._undo.push(this._current);
+    this._current = this._redo.pop();
+    this._lastKey = null;
+    return this._current;
+  }
+
+  /** @returns {boolean} */
+  canUndo() {
+    return this._undo.length > 0;
+  }
+
+  /** @returns {boolean} */
+  canRedo() {
+    return this._redo.length > 0;
+  }
+}
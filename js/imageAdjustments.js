@@ -0,0 +1,196 @@
+/**
+ * Image Adjustments
+ *
+ * Non-destructive colour corrections stored with each design: brightness,
+ * contrast, saturation, grayscale, sepia and a two-colour duotone. The
+ * source image is never changed; drawDesign draws an adjusted copy, so the
+ * canvas, the preview and every print and export path match.
+ *
+ * Pixels are processed directly rather than with canvas filters, which
+ * aren't supported in every browser, so all of them print the same.
+ */
+
+/**
+ * @typedef {Object} Adjustments
+ * @property {number} brightness – -100 to 100, 0 = unchanged
+ * @property {number} contrast   – -100 to 100, 0 = unchanged
+ * @property {number} saturation – -100 (grey) to 100, 0 = unchanged
+ * @property {number} grayscale  – 0 to 100 % towards grey
+ * @property {number} sepia      – 0 to 100 % towards sepia
+ * @property {boolean} duotone   – map tones from the dark to the light colour
+ * @property {string} duotoneDark  – colour for shadows
+ * @property {string} duotoneLight – colour for highlights
+ */
+
+/** No adjustments: the image is drawn as loaded */
+export const NO_ADJUSTMENTS = Object.freeze({
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  grayscale: 0,
+  sepia: 0,
+  duotone: false,
+  duotoneDark: '#1e3a8a',
+  duotoneLight: '#facc15',
+});
+
+/** Longest side of the adjusted copies drawn on screen, in pixels */
+export const PREVIEW_SIZE = 1024;
+
+/** Adjusted copies kept per image (e.g. for designs sharing an image) */
+const MAX_CACHED_COPIES = 4;
+
+/** @type {WeakMap<HTMLImageElement, Map<string, CanvasImageSource>>} */
+const cache = new WeakMap();
+
+/**
+ * Whether any adjustment changes the image.
+ * @param {Adjustments | undefined} adjustments
+ * @returns {boolean}
+ */
+export function hasAdjustments(adjustments) {
+  if (!adjustments) return false;
+  const { brightness, contrast, saturation, grayscale, sepia, duotone } = adjustments;
+  return !!(brightness || contrast || saturation || grayscale || sepia || duotone);
+}
+
+/**
+ * The image to draw for a design: the source itself, or an adjusted copy.
+ * Copies are full size for printing and export; on-screen drawing passes
+ * `maxSize` (see PREVIEW_SIZE) so slider drags only process a small copy.
+ * The most recently used copies are cached per image.
+ * @param {HTMLImageElement} image
+ * @param {Adjustments | undefined} adjustments
+ * @param {number} [maxSize=Infinity] – longest side of the copy, in pixels
+ * @returns {CanvasImageSource} the source image if its pixels can't be read
+ */
+export function getAdjustedImage(image, adjustments, maxSize = Infinity) {
+  if (!hasAdjustments(adjustments)) return image;
+
+  const ratio = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.max(1, Math.round(image.naturalWidth * ratio));
+  const height = Math.max(1, Math.round(image.naturalHeight * ratio));
+  const key = `${width}x${height}:${JSON.stringify(adjustments)}`;
+
+  let copies = cache.get(image);
+  if (!copies) {
+    copies = new Map();
+    cache.set(image, copies);
+  }
+  let source = copies.get(key);
+  if (source) {
+    // Move to the end, so the least recently used copy is dropped first
+    copies.delete(key);
+  } else {
+    source = createAdjustedCopy(image, adjustments, width, height) || image;
+    if (copies.size >= MAX_CACHED_COPIES) copies.delete(copies.keys().next().value);
+  }
+  copies.set(key, source);
+  return source;
+}
+
+/**
+ * @param {HTMLImageElement} image
+ * @param {Adjustments} adjustments
+ * @param {number} width – size of the copy, in pixels
+ * @param {number} height
+ * @returns {HTMLCanvasElement | null} null for cross-origin images
+ */
+function createAdjustedCopy(image, adjustments, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+
+  let pixels;
+  try {
+    pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  } catch {
+    return null;
+  }
+  adjustPixels(pixels.data, adjustments);
+  ctx.putImageData(pixels, 0, 0);
+  return canvas;
+}
+
+/**
+ * Apply adjustments in place, in order: brightness, contrast, saturation,
+ * grayscale, sepia, duotone. Alpha is left alone.
+ * @param {Uint8ClampedArray} data – RGBA
+ * @param {Adjustments} adjustments
+ */
+function adjustPixels(data, adjustments) {
+  const { brightness, contrast, saturation, grayscale, sepia, duotone } = adjustments;
+
+  // Brightness and contrast act on each channel alone, so share a table
+  const brightnessFactor = 1 + brightness / 100;
+  const contrastFactor = 1 + contrast / 100;
+  const levels = new Float32Array(256);
+  for (let v = 0; v < 256; v++) {
+    levels[v] = Math.max(0, Math.min(255, (v * brightnessFactor - 128) * contrastFactor + 128));
+  }
+
+  const saturationFactor = 1 + saturation / 100;
+  const grayAmount = grayscale / 100;
+  const sepiaAmount = sepia / 100;
+  const dark = duotone ? parseHexColor(adjustments.duotoneDark) : null;
+  const light = duotone ? parseHexColor(adjustments.duotoneLight) : null;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = levels[data[i]];
+    let g = levels[data[i + 1]];
+    let b = levels[data[i + 2]];
+
+    if (saturationFactor !== 1 || grayAmount) {
+      const l = luma(r, g, b);
+      // Grayscale takes the rest of the way to grey from the saturated colour
+      const keep = saturationFactor * (1 - grayAmount);
+      r = l + (r - l) * keep;
+      g = l + (g - l) * keep;
+      b = l + (b - l) * keep;
+    }
+
+    if (sepiaAmount) {
+      // The usual sepia matrix (as in the CSS sepia() filter)
+      const sr = 0.393 * r + 0.769 * g + 0.189 * b;
+      const sg = 0.349 * r + 0.686 * g + 0.168 * b;
+      const sb = 0.272 * r + 0.534 * g + 0.131 * b;
+      r += (sr - r) * sepiaAmount;
+      g += (sg - g) * sepiaAmount;
+      b += (sb - b) * sepiaAmount;
+    }
+
+    if (dark) {
+      const t = Math.max(0, Math.min(1, luma(r, g, b) / 255));
+      r = dark.r + (light.r - dark.r) * t;
+      g = dark.g + (light.g - dark.g) * t;
+      b = dark.b + (light.b - dark.b) * t;
+    }
+
+    // The clamped array rounds and limits to 0–255
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {number}
+ */
+function luma(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * @param {string} hex – '#rrggbb'
+ * @returns {{ r: number, g: number, b: number }}
+ */
+function parseHexColor(hex) {
+  const value = parseInt(hex.slice(1), 16) || 0;
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
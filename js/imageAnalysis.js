@@ -0,0 +1,278 @@
+/**
+ * Image Analysis
+ *
+ * Finds where the subject of an image is, for smart centring, and which
+ * parts are transparent, for the pre-flight checks. Everything runs
+ * locally on a small downsampled copy of the image:
+ *
+ *   - Images with transparency (logos, cut-outs): the bounding box of the
+ *     visible pixels.
+ *   - Opaque images (photos): the centre of the high-detail pixels, which
+ *     tends to be the subject rather than sky, walls or blurred background.
+ */
+
+/** Longest side of the downsampled copy that gets analysed, in px */
+const ANALYSIS_SIZE = 200;
+
+/** Longest side of the alpha map, in px */
+const ALPHA_MAP_SIZE = 400;
+
+/** Pixels with alpha at or below this count as transparent */
+const ALPHA_THRESHOLD = 16;
+
+/** Images with at least this share of transparent pixels are treated as cut-outs */
+const TRANSPARENT_SHARE = 0.02;
+
+/** Only edges stronger than this share of all edges count as detail */
+const DETAIL_PERCENTILE = 0.75;
+
+/**
+ * @typedef {Object} ContentInfo
+ * @property {number} centerX – subject centre, in natural image px from the left
+ * @property {number} centerY – subject centre, in natural image px from the top
+ * @property {{ x: number, y: number, width: number, height: number }} bounds – natural px
+ * @property {'alpha' | 'detail'} method
+ */
+
+/**
+ * @typedef {Object} AlphaMap
+ * @property {number} width
+ * @property {number} height
+ * @property {number} ratio       – map pixels per natural image pixel
+ * @property {Uint8Array} alpha   – row-major alpha values
+ */
+
+/** @type {WeakMap<HTMLImageElement, ContentInfo | null>} */
+const cache = new WeakMap();
+
+/** @type {WeakMap<HTMLImageElement, AlphaMap | null>} */
+const alphaCache = new WeakMap();
+
+/**
+ * Locate the content of an image. Results are cached per image.
+ * @param {HTMLImageElement} image
+ * @returns {ContentInfo | null} null when nothing stands out (blank or flat image)
+ */
+export function findImageContent(image) {
+  if (!cache.has(image)) {
+    cache.set(image, analyse(image));
+  }
+  return cache.get(image);
+}
+
+/**
+ * The image's alpha channel at reduced size. Results are cached per image.
+ * @param {HTMLImageElement} image
+ * @returns {AlphaMap | null} null when the image is fully opaque or can't be read
+ */
+export function getAlphaMap(image) {
+  if (!alphaCache.has(image)) {
+    const pixels = readPixels(image, ALPHA_MAP_SIZE);
+    let map = null;
+    if (pixels) {
+      const { data, w, h, ratio } = pixels;
+      const alpha = new Uint8Array(w * h);
+      let opaque = true;
+      for (let i = 0; i < w * h; i++) {
+        alpha[i] = data[i * 4 + 3];
+        if (alpha[i] < 255) opaque = false;
+      }
+      map = opaque ? null : { width: w, height: h, ratio, alpha };
+    }
+    alphaCache.set(image, map);
+  }
+  return alphaCache.get(image);
+}
+
+/**
+ * Whether a point of the image is transparent.
+ * @param {AlphaMap} map
+ * @param {number} x – natural image px
+ * @param {number} y – natural image px
+ * @returns {boolean}
+ */
+export function isTransparentAt(map, x, y) {
+  const mx = Math.min(map.width - 1, Math.max(0, Math.floor(x * map.ratio)));
+  const my = Math.min(map.height - 1, Math.max(0, Math.floor(y * map.ratio)));
+  return map.alpha[my * map.width + mx] <= ALPHA_THRESHOLD;
+}
+
+/**
+ * Draw the image at reduced size and read its pixels back.
+ * @param {HTMLImageElement} image
+ * @param {number} maxSize – longest side, px
+ * @returns {{ data: Uint8ClampedArray, w: number, h: number, ratio: number } | null}
+ *   null when the pixels can't be read (cross-origin images)
+ */
+function readPixels(image, maxSize) {
+  const ratio = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  const w = Math.max(1, Math.round(image.naturalWidth * ratio));
+  const h = Math.max(1, Math.round(image.naturalHeight * ratio));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, w, h);
+
+  try {
+    return { data: ctx.getImageData(0, 0, w, h).data, w, h, ratio };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {HTMLImageElement} image
+ * @returns {ContentInfo | null}
+ */
+function analyse(image) {
+  const pixels = readPixels(image, ANALYSIS_SIZE);
+  if (!pixels) return null;
+  const { data, w, h, ratio } = pixels;
+
+  const info = findOpaqueBounds(data, w, h) || findDetailCentre(data, w, h);
+  if (!info) return null;
+
+  // Back to natural image pixels
+  const toNatural = (v) => v / ratio;
+  return {
+    centerX: toNatural(info.centerX),
+    centerY: toNatural(info.centerY),
+    bounds: {
+      x: toNatural(info.bounds.x),
+      y: toNatural(info.bounds.y),
+      width: toNatural(info.bounds.width),
+      height: toNatural(info.bounds.height),
+    },
+    method: info.method,
+  };
+}
+
+/**
+ * Bounding box of the visible pixels, when enough of the image is
+ * transparent for that to mean something.
+ * @param {Uint8ClampedArray} data – RGBA
+ * @param {number} w
+ * @param {number} h
+ * @returns {ContentInfo | null}
+ */
+function findOpaqueBounds(data, w, h) {
+  let transparent = 0;
+  let minX = w;
+  let minY = h;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (data[(y * w + x) * 4 + 3] <= ALPHA_THRESHOLD) {
+        transparent++;
+        continue;
+      }
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  if (transparent < w * h * TRANSPARENT_SHARE || maxX < 0) return null;
+
+  const bounds = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+  return {
+    centerX: bounds.x + bounds.width / 2,
+    centerY: bounds.y + bounds.height / 2,
+    bounds,
+    method: 'alpha',
+  };
+}
+
+/**
+ * Weighted centre of the strongest edges, with the box holding the
+ * middle 90% of that weight on each axis.
+ * @param {Uint8ClampedArray} data – RGBA
+ * @param {number} w
+ * @param {number} h
+ * @returns {ContentInfo | null}
+ */
+function findDetailCentre(data, w, h) {
+  if (w < 2 || h < 2) return null;
+
+  const luma = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  // Gradient magnitude against the right and lower neighbours
+  const gw = w - 1;
+  const gh = h - 1;
+  const gradient = new Float32Array(gw * gh);
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      const i = y * w + x;
+      gradient[y * gw + x] = Math.abs(luma[i + 1] - luma[i]) + Math.abs(luma[i + w] - luma[i]);
+    }
+  }
+
+  const sorted = Float32Array.from(gradient).sort();
+  const threshold = sorted[Math.floor(sorted.length * DETAIL_PERCENTILE)];
+
+  const columnWeight = new Float64Array(gw);
+  const rowWeight = new Float64Array(gh);
+  let total = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      const weight = gradient[y * gw + x] - threshold;
+      if (weight <= 0) continue;
+      // The sample lies between pixels x and x + 1 (centres x + 0.5 and x + 1.5)
+      sumX += weight * (x + 1);
+      sumY += weight * (y + 1);
+      columnWeight[x] += weight;
+      rowWeight[y] += weight;
+      total += weight;
+    }
+  }
+
+  if (total === 0) return null;
+
+  const [x0, x1] = weightRange(columnWeight, total);
+  const [y0, y1] = weightRange(rowWeight, total);
+  return {
+    centerX: sumX / total,
+    centerY: sumY / total,
+    bounds: { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 },
+    method: 'detail',
+  };
+}
+
+/**
+ * First and last index between the 5th and 95th percentile of a weight
+ * distribution, ignoring a few stray edges at the borders.
+ * @param {Float64Array} weights
+ * @param {number} total
+ * @returns {[number, number]}
+ */
+function weightRange(weights, total) {
+  let start = 0;
+  let end = weights.length - 1;
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    sum += weights[i];
+    if (sum >= total * 0.05) {
+      start = i;
+      break;
+    }
+  }
+  sum = 0;
+  for (let i = weights.length - 1; i >= 0; i--) {
+    sum += weights[i];
+    if (sum >= total * 0.05) {
+      end = i;
+      break;
+    }
+  }
+  return [start, Math.max(start, end)];
+}
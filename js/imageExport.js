@@ -0,0 +1,141 @@
+/**
+ * Image Export
+ *
+ * Saves finished buttons and print sheets as standalone files for use in
+ * other tools: a single button as a transparent PNG, and a full sheet as
+ * an SVG with embedded button images and vector cut-line paths.
+ */
+
+import { createButtonCanvas, REGISTRATION_MARK_SIZE } from './printGenerator.js';
+import { toCalibration } from './measurementConverter.js';
+import { getShape, getGuideSizes, getShapeOutline, getCornerRadius } from './buttonShapes.js';
+
+/** Points in outlines drawn as polygons (hearts). */
+const OUTLINE_POINTS = 180;
+
+/**
+ * Render a single finished button, clipped to the cut line exactly
+ * as on the printed sheet, to a transparent PNG. No calibration is applied:
+ * the file describes the button at its nominal physical size.
+ *
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number} dpi
+ * @returns {Promise<Blob>}
+ */
+export function createButtonPng(imageState, dpi) {
+  const canvas = createButtonCanvas(imageState, 1.0, dpi, { cutLine: false });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode the button image.'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Build an SVG document for one print page. User units are inches and the
+ * document is sized to the layout's paper, so it opens at physical size.
+ * Each design is embedded once and reused; cut lines are vector outlines
+ * grouped under `#cut-lines` so cutter software can pick them out, and
+ * registration marks (when the layout has them) are under
+ * `#registration-marks`.
+ *
+ * @param {import('./types').PrintLayout} layout
+ * @param {number} dpi – raster resolution for the embedded button images
+ * @returns {Blob}
+ */
+export function createSheetSvg(layout, dpi) {
+  const { paperSize, buttonSize, buttons } = layout;
+  const cal = toCalibration(layout.cal);
+  const shape = getShape(buttonSize);
+  const { cut } = getGuideSizes(buttonSize);
+  const width = cut.width * cal.x;
+  const height = cut.height * cal.y;
+
+  /** @type {Map<object, string>} */
+  const designIds = new Map();
+  // Drawn in inches, then scaled down to the bounding box's 0–1 units
+  const defs = [
+    '<clipPath id="cut-clip" clipPathUnits="objectBoundingBox">' +
+      shapeElement(shape, width / 2, height / 2, width, height, `scale(${num(1 / width)} ${num(1 / height)})`) +
+      '</clipPath>',
+  ];
+  const images = [];
+  const cutLines = [];
+
+  buttons.forEach((btn) => {
+    if (!designIds.has(btn.imageState)) {
+      const id = 'design-' + (designIds.size + 1);
+      const canvas = createButtonCanvas(btn.imageState, cal, dpi, { cutLine: false, clip: false });
+      defs.push(
+        `<image id="${id}" width="${num(width)}" height="${num(height)}" ` +
+        `preserveAspectRatio="none" href="${canvas.toDataURL('image/png')}"/>`
+      );
+      designIds.set(btn.imageState, id);
+    }
+
+    const id = designIds.get(btn.imageState);
+    images.push(`<use href="#${id}" x="${num(btn.x)}" y="${num(btn.y)}" clip-path="url(#cut-clip)"/>`);
+    cutLines.push(shapeElement(shape, btn.x + width / 2, btn.y + height / 2, width, height));
+  });
+
+  const r = REGISTRATION_MARK_SIZE / 2;
+  const arm = r * 1.3;
+  const marks = (layout.marks || []).map(({ x, y }) =>
+    `<circle cx="${num(x)}" cy="${num(y)}" r="${num(r)}"/>` +
+    `<path d="M${num(x - arm)} ${num(y)}H${num(x + arm)}M${num(x)} ${num(y - arm)}V${num(y + arm)}"/>`
+  );
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${paperSize.width}in" height="${paperSize.height}in" ` +
+      `viewBox="0 0 ${paperSize.width} ${paperSize.height}">`,
+    `<defs>${defs.join('')}</defs>`,
+    `<g id="buttons">${images.join('')}</g>`,
+    `<g id="cut-lines" fill="none" stroke="#999" stroke-width="0.01">${cutLines.join('')}</g>`,
+    ...(marks.length
+      ? [`<g id="registration-marks" fill="none" stroke="#000" stroke-width="0.007">${marks.join('')}</g>`]
+      : []),
+    '</svg>',
+  ].join('\n');
+
+  return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+/**
+ * An SVG element outlining a button shape centred on a point.
+ * @param {import('./buttonShapes').ButtonShape} shape
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [transform]
+ * @returns {string}
+ */
+function shapeElement(shape, cx, cy, width, height, transform = '') {
+  const attr = transform ? ` transform="${transform}"` : '';
+  if (shape === 'rect') {
+    const r = getCornerRadius(width, height);
+    return `<rect x="${num(cx - width / 2)}" y="${num(cy - height / 2)}" ` +
+      `width="${num(width)}" height="${num(height)}" rx="${num(r)}"${attr}/>`;
+  }
+  if (shape === 'heart') {
+    const d = getShapeOutline(shape, width, height, OUTLINE_POINTS)
+      .map((p, i) => `${i === 0 ? 'M' : 'L'}${num(cx + p.x)} ${num(cy + p.y)}`)
+      .join('');
+    return `<path d="${d}Z"${attr}/>`;
+  }
+  return `<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(width / 2)}" ry="${num(height / 2)}"${attr}/>`;
+}
+
+/**
+ * Format a number for SVG attributes (fixed precision, no exponent).
+ * @param {number} n
+ * @returns {string}
+ */
+function num(n) {
+  return (Math.round(n * 10000) / 10000).toString();
+}
@@ -45,23 +45,7 @@ export function loadImage(file) {
     const reader = new FileReader();
 
     reader.onload = () => {
-      const img = new Image();
-
-      img.onload = () => {
-        // Revoke the object URL isn't needed here since we use dataURL,
-        // but make sure image is valid.
-        if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-          reject(new Error('Image appears to be corrupted or empty.'));
-          return;
-        }
-        resolve(img);
-      };
-
-      img.onerror = () => {
-        reject(new Error('Failed to decode the image. The file may be corrupted.'));
-      };
-
-      img.src = reader.result;
+      loadImageFromUrl(reader.result).then(resolve, reject);
     };
 
     reader.onerror = () => {
@@ -71,3 +55,93 @@ export function loadImage(file) {
     reader.readAsDataURL(file);
   });
 }
+
+/**
+ * Load an image from a URL, typically a data URL embedded in a saved
+ * project. Resolves with an HTMLImageElement once fully loaded.
+ *
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImageFromUrl(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+
+    img.onload = () => {
+      // Make sure the image actually decoded to something
+      if (img.naturalWidth === 0 || img.naturalHeight === 0) {
+        reject(new Error('Image appears to be corrupted or empty.'));
+        return;
+      }
+      resolve(img);
+    };
+
+    img.onerror = () => {
+      reject(new Error('Failed to decode the image. The file may be corrupted.'));
+    };
+
+    img.src = url;
+  });
+}
+
+/**
+ * Collect the files from a drop. Folders are searched, subfolders too,
+ * for images (other files in them are skipped) and listed by name, so
+ * numbered artwork keeps its order. Files dropped on their own are kept
+ * whatever their type, so unsupported ones can be reported.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function getDroppedFiles(dataTransfer) {
+  // Entries must be taken before the drop handler first awaits
+  const items = [...(dataTransfer.items || [])].filter((item) => item.kind === 'file');
+  const entries = items.map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (!entries.some((entry) => entry && entry.isDirectory)) {
+    return [...dataTransfer.files];
+  }
+
+  const files = [];
+  for (const [i, entry] of entries.entries()) {
+    if (entry && entry.isDirectory) {
+      const found = await readDirectoryImages(entry);
+      files.push(...found.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true })));
+    } else {
+      const file = entry ? await entryFile(entry) : items[i].getAsFile();
+      if (file) files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Every supported image in a folder and its subfolders.
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<File[]>}
+ */
+async function readDirectoryImages(directory) {
+  const reader = directory.createReader();
+  const files = [];
+  // readEntries hands back a folder's contents a chunk at a time
+  for (;;) {
+    const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!entries.length) break;
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        files.push(...await readDirectoryImages(entry));
+      } else {
+        const file = await entryFile(entry);
+        if (validateImageFile(file)) files.push(file);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * @param {FileSystemFileEntry} entry
+ * @returns {Promise<File>}
+ */
+function entryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
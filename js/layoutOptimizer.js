@@ -0,0 +1,285 @@
+/**
+ * Layout Optimizer
+ *
+ * Works out where cut lines go on a sheet. Several arrangements are
+ * tried for the active button size, paper and calibration:
+ *
+ *   - square grid
+ *   - hex/brick packing with offset rows
+ *   - hex/brick packing with offset columns
+ *
+ * each on the page as-is and on the page rotated a quarter turn. Every
+ * arrangement keeps at least `gap` inches between neighbouring buttons so
+ * there is room for the cutter, and stays inside the printable area.
+ * Positions are always returned in the page's own (portrait) coordinates.
+ *
+ * A button's footprint on the page is its cut line's `width` × `height`
+ * (oval and rectangular shapes, and two-axis calibration, make the two
+ * differ), so the packers work with both. Hex packing only nests round
+ * shapes; rectangles and hearts are packed on a grid.
+ */
+
+import { toCalibration } from './measurementConverter.js';
+import { getShape, getGuideSizes } from './buttonShapes.js';
+
+/** Default minimum space between cut lines, in inches (1/16"). */
+export const DEFAULT_CUTTER_GAP = 0.0625;
+
+/** Packing strategies, in tie-break order. */
+const PACKINGS = [
+  { id: 'grid', label: 'Square grid' },
+  { id: 'hex-rows', label: 'Hex rows' },
+  { id: 'hex-columns', label: 'Hex columns' },
+];
+
+const ORIENTATIONS = [
+  { id: 'portrait', label: 'page as-is' },
+  { id: 'rotated', label: 'page rotated' },
+];
+
+/** Shapes whose rows nest into each other's gaps */
+const HEX_SHAPES = ['circle', 'oval'];
+
+/**
+ * @typedef {Object} LayoutOption
+ * @property {string} id          – e.g. "hex-rows/rotated"
+ * @property {string} packing     – 'grid' | 'hex-rows' | 'hex-columns'
+ * @property {string} orientation – 'portrait' | 'rotated'
+ * @property {string} label
+ * @property {number} count
+ * @property {{ columns: number, rows: number, total: number, layout: string }} grid
+ * @property {{ x: number, y: number }[]} positions – top-left corners, inches
+ */
+
+/**
+ * Compute every arrangement for a button size on a sheet.
+ *
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @param {number} [gap=DEFAULT_CUTTER_GAP]
+ * @returns {LayoutOption[]}
+ */
+export function getLayoutOptions(buttonSize, paperSize, cal = 1.0, gap = DEFAULT_CUTTER_GAP) {
+  const { x: calX, y: calY } = toCalibration(cal);
+  const { cut } = getGuideSizes(buttonSize);
+  const footprint = {
+    width: cut.width * calX,
+    height: cut.height * calY,
+  };
+  const packings = HEX_SHAPES.includes(getShape(buttonSize))
+    ? PACKINGS
+    : PACKINGS.filter((packing) => packing.id === 'grid');
+  const options = [];
+
+  ORIENTATIONS.forEach((orientation) => {
+    const rotated = orientation.id === 'rotated';
+    const sheet = rotated ? rotatePaper(paperSize) : paperSize;
+    const size = rotated ? swapAxes(footprint) : footprint;
+
+    packings.forEach((packing) => {
+      let result;
+      if (packing.id === 'grid') {
+        result = packGrid(size, sheet, gap, buttonSize.maxRows);
+      } else if (packing.id === 'hex-rows') {
+        result = packHexRows(size, sheet, gap, buttonSize.maxRows);
+      } else {
+        // Offset columns are offset rows on the transposed sheet; the row
+        // cap then limits how many buttons each column holds.
+        const columns = packHexRows(swapAxes(size), transposePaper(sheet), gap, null, buttonSize.maxRows);
+        result = {
+          grid: { columns: columns.grid.rows, rows: columns.grid.columns, total: columns.grid.total },
+          positions: columns.positions.map(({ x, y }) => ({ x: y, y: x })),
+        };
+      }
+
+      const positions = rotated
+        ? result.positions.map((p) => unrotatePosition(p, paperSize, footprint))
+        : result.positions;
+
+      options.push({
+        id: `${packing.id}/${orientation.id}`,
+        packing: packing.id,
+        orientation: orientation.id,
+        label: `${packing.label}, ${orientation.label}`,
+        count: positions.length,
+        grid: { ...result.grid, layout: packing.id === 'grid' ? 'grid' : 'hex' },
+        positions,
+      });
+    });
+  });
+
+  return options;
+}
+
+/**
+ * Pick the arrangement with the most buttons. Ties go to the size's own
+ * preferred packing (`layout: 'hex'` prefers hex rows), then to the
+ * earliest option (grid, page as-is).
+ *
+ * @param {LayoutOption[]} options
+ * @param {'grid' | 'hex'} [preferredLayout='grid']
+ * @returns {LayoutOption}
+ */
+export function pickBestLayout(options, preferredLayout = 'grid') {
+  const preferred = preferredLayout === 'hex' ? 'hex-rows' : 'grid';
+  return options.reduce((best, option) => {
+    if (option.count > best.count) return option;
+    if (option.count === best.count && option.packing === preferred && best.packing !== preferred) {
+      return option;
+    }
+    return best;
+  });
+}
+
+/* ============================================================
+   Packing strategies
+   ============================================================ */
+
+/**
+ * Rows × columns grid. Slack is spread evenly so each button sits in the
+ * middle of its cell, matching the original grid layout.
+ */
+function packGrid({ width, height }, paper, gap, maxRows) {
+  const { printableWidth, printableHeight } = printableArea(paper);
+
+  const columns = Math.max(0, Math.floor(printableWidth / (width + gap)));
+  let rows = Math.max(0, Math.floor(printableHeight / (height + gap)));
+  if (maxRows && rows > maxRows) {
+    rows = maxRows;
+  }
+
+  const positions = [];
+  if (columns === 0 || rows === 0) {
+    return { grid: { columns: 0, rows: 0, total: 0 }, positions };
+  }
+
+  const cellWidth = printableWidth / columns;
+  const cellHeight = printableHeight / rows;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      positions.push({
+        x: paper.marginLeft + col * cellWidth + (cellWidth - width) / 2,
+        y: paper.marginTop + row * cellHeight + (cellHeight - height) / 2,
+      });
+    }
+  }
+
+  return { grid: { columns, rows, total: positions.length }, positions };
+}
+
+/**
+ * Hex/brick packing: every other row is shifted by half a step and rows
+ * are pulled together to step × √3/2, so neighbours in adjacent rows are
+ * exactly one step apart. Both "first row full" and "first row shifted"
+ * are tried and the fuller one kept. The block is centred on the page.
+ * `maxRows` caps the number of rows, `maxPerRow` the buttons in each row.
+ */
+function packHexRows({ width, height }, paper, gap, maxRows, maxPerRow = null) {
+  const { printableWidth, printableHeight } = printableArea(paper);
+  const step = width + gap;
+  const rowSpacing = (height + gap) * Math.sqrt(3) / 2;
+  const empty = { grid: { columns: 0, rows: 0, total: 0 }, positions: [] };
+
+  if (printableWidth < width || printableHeight < height) {
+    return empty;
+  }
+
+  let rows = Math.floor((printableHeight - height) / rowSpacing) + 1;
+  if (maxRows && rows > maxRows) {
+    rows = maxRows;
+  }
+
+  let fullCount = Math.floor((printableWidth - width) / step) + 1;
+  const shiftedRoom = printableWidth - width - step / 2;
+  let shiftedCount = shiftedRoom >= 0 ? Math.floor(shiftedRoom / step) + 1 : 0;
+  if (maxPerRow) {
+    fullCount = Math.min(fullCount, maxPerRow);
+    shiftedCount = Math.min(shiftedCount, maxPerRow);
+  }
+
+  const countFor = (startShifted) => {
+    let total = 0;
+    for (let row = 0; row < rows; row++) {
+      total += (row % 2 === 1) !== startShifted ? shiftedCount : fullCount;
+    }
+    return total;
+  };
+  const startShifted = countFor(true) > countFor(false);
+
+  const fullExtent = (fullCount - 1) * step + width;
+  const shiftedExtent = shiftedCount ? step / 2 + (shiftedCount - 1) * step + width : 0;
+  const blockWidth = Math.max(fullExtent, shiftedExtent);
+  const blockHeight = (rows - 1) * rowSpacing + height;
+  const startX = paper.marginLeft + (printableWidth - blockWidth) / 2;
+  const startY = paper.marginTop + (printableHeight - blockHeight) / 2;
+
+  const positions = [];
+  for (let row = 0; row < rows; row++) {
+    const shifted = (row % 2 === 1) !== startShifted;
+    const count = shifted ? shiftedCount : fullCount;
+    const baseX = startX + (shifted ? step / 2 : 0);
+    const y = startY + row * rowSpacing;
+    for (let col = 0; col < count; col++) {
+      positions.push({ x: baseX + col * step, y });
+    }
+  }
+
+  return {
+    grid: { columns: Math.max(fullCount, shiftedCount), rows, total: positions.length },
+    positions,
+  };
+}
+
+/* ============================================================
+   Geometry helpers
+   ============================================================ */
+
+function printableArea(paper) {
+  return {
+    printableWidth: paper.width - paper.marginLeft - paper.marginRight,
+    printableHeight: paper.height - paper.marginTop - paper.marginBottom,
+  };
+}
+
+/**
+ * The page turned a quarter turn clockwise: what was the right margin
+ * is now at the top, the top margin is now on the left, and so on.
+ */
+function rotatePaper(paper) {
+  return {
+    ...paper,
+    width: paper.height,
+    height: paper.width,
+    marginTop: paper.marginRight,
+    marginRight: paper.marginBottom,
+    marginBottom: paper.marginLeft,
+    marginLeft: paper.marginTop,
+  };
+}
+
+/**
+ * Map a button's top-left corner on the rotated page back onto the
+ * original page. `footprint` is the button's size on the original page.
+ */
+function unrotatePosition({ x, y }, paper, footprint) {
+  return { x: paper.width - y - footprint.width, y: x };
+}
+
+/** A footprint seen from the rotated or transposed sheet. */
+function swapAxes({ width, height }) {
+  return { width: height, height: width };
+}
+
+/** Swap the page's axes (used to turn row packing into column packing). */
+function transposePaper(paper) {
+  return {
+    ...paper,
+    width: paper.height,
+    height: paper.width,
+    marginTop: paper.marginLeft,
+    marginRight: paper.marginBottom,
+    marginBottom: paper.marginRight,
+    marginLeft: paper.marginTop,
+  };
+}
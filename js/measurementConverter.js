@@ -11,6 +11,33 @@
 
 export const PIXELS_PER_INCH = 96;
 
+/**
+ * Printer calibration: correction factors applied to everything printed,
+ * separately for each paper axis (many printers feed paper with a
+ * different error than they print across it), and the shift the printer
+ * adds to the whole page.
+ *
+ * @typedef {Object} Calibration
+ * @property {number} x       – horizontal correction factor
+ * @property {number} y       – vertical correction factor
+ * @property {number} offsetX – how far right of its position the printer puts everything, inches
+ * @property {number} offsetY – how far below its position the printer puts everything, inches
+ */
+
+/** No correction. */
+export const NO_CALIBRATION = Object.freeze({ x: 1, y: 1, offsetX: 0, offsetY: 0 });
+
+/**
+ * Normalise a calibration argument: a single uniform factor, or X/Y
+ * factors with or without an offset.
+ * @param {number | Partial<Calibration> | null | undefined} cal
+ * @returns {Calibration}
+ */
+export function toCalibration(cal) {
+  if (typeof cal === 'number') return { ...NO_CALIBRATION, x: cal, y: cal };
+  return { ...NO_CALIBRATION, ...cal };
+}
+
 /**
  * Convert inches to CSS pixels.
  * @param {number} inches
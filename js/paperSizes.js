@@ -0,0 +1,86 @@
+/**
+ * Paper Size Configuration
+ *
+ * Standard sheet sizes and helpers for building the paper description
+ * used by the print generator. All measurements are in inches.
+ */
+
+/**
+ * @typedef {Object} PaperSize
+ * @property {string} [name]
+ * @property {number} width
+ * @property {number} height
+ * @property {number} marginTop
+ * @property {number} marginRight
+ * @property {number} marginBottom
+ * @property {number} marginLeft
+ */
+
+/**
+ * @typedef {Object} Margins
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ * @property {number} left
+ */
+
+export const PAPER_SIZES = {
+  letter: { name: 'US Letter', width: 8.5, height: 11 },
+  legal: { name: 'US Legal', width: 8.5, height: 14 },
+  a4: { name: 'A4', width: 8.268, height: 11.693 },
+  a5: { name: 'A5', width: 5.827, height: 8.268 },
+  photo: { name: '4 × 6 Photo', width: 4, height: 6 },
+};
+
+/** @type {Margins} */
+export const DEFAULT_MARGINS = { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 };
+
+/**
+ * Build a paper description from sheet dimensions and margins.
+ *
+ * @param {{ name?: string, width: number, height: number }} sheet
+ * @param {Margins} [margins=DEFAULT_MARGINS]
+ * @returns {PaperSize}
+ */
+export function createPaperSize(sheet, margins = DEFAULT_MARGINS) {
+  return {
+    name: sheet.name || `${sheet.width}" × ${sheet.height}"`,
+    width: sheet.width,
+    height: sheet.height,
+    marginTop: margins.top,
+    marginRight: margins.right,
+    marginBottom: margins.bottom,
+    marginLeft: margins.left,
+  };
+}
+
+/** Standard US Letter paper with default margins */
+export const US_LETTER = createPaperSize(PAPER_SIZES.letter);
+
+/**
+ * Check a paper description for usable dimensions.
+ *
+ * @param {PaperSize} paper
+ * @returns {string[]} human-readable problems; empty when valid
+ */
+export function validatePaperSize(paper) {
+  const errors = [];
+
+  if (!(paper.width > 0) || !(paper.height > 0) || !isFinite(paper.width) || !isFinite(paper.height)) {
+    errors.push('Paper width and height must be positive numbers.');
+  }
+
+  const margins = [paper.marginTop, paper.marginRight, paper.marginBottom, paper.marginLeft];
+  if (margins.some((m) => !(m >= 0) || !isFinite(m))) {
+    errors.push('Margins must be zero or more.');
+  }
+
+  if (errors.length === 0) {
+    if (paper.marginLeft + paper.marginRight >= paper.width ||
+        paper.marginTop + paper.marginBottom >= paper.height) {
+      errors.push('Margins leave no printable area on the page.');
+    }
+  }
+
+  return errors;
+}
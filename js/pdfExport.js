@@ -0,0 +1,322 @@
+/**
+ * PDF Export
+ *
+ * Builds a PDF of a print job directly, bypassing the browser print
+ * dialog (and its scaling, headers/footers and "Shrink to fit").
+ *
+ * Pages are exactly the paper size, in PDF points (72 per inch). Each
+ * design is embedded once as a JPEG raster, clipped to the vector outline
+ * of the button's shape, and the cut lines are drawn as vector outlines
+ * too. Positions come straight
+ * from the print job, so calibration is already applied. Registration
+ * marks, when the job has them, are vector too.
+ */
+
+import { createButtonCanvas, REGISTRATION_MARK_SIZE } from './printGenerator.js';
+import { toCalibration } from './measurementConverter.js';
+import { getShape, getGuideSizes, getShapeOutline, getCornerRadius } from './buttonShapes.js';
+
+const POINTS_PER_INCH = 72;
+
+/** Cubic Bézier control-point distance for a quarter circle. */
+const KAPPA = 0.5522847498;
+
+/** Points in outlines drawn as polygons (hearts). */
+const OUTLINE_POINTS = 180;
+
+/** Cut-line stroke: the same #999 grey used on printed sheets. */
+const CUT_LINE_GRAY = 0.6;
+const CUT_LINE_WIDTH_PT = 0.75;
+
+/** Registration marks: black hairlines. */
+const MARK_LINE_WIDTH_PT = 0.5;
+
+/**
+ * Create a PDF document for every page of a print job.
+ *
+ * @param {{ pages: import('./types').PrintLayout[] }} job
+ * @param {number} dpi – raster resolution for the embedded button images
+ * @returns {Promise<Blob>}
+ */
+export async function createPrintJobPdf(job, dpi) {
+  const writer = new PdfWriter();
+  const catalogId = writer.reserve();
+  const pagesId = writer.reserve();
+
+  // One image XObject per distinct design, shared by every slot using it
+  /** @type {Map<object, { id: number, name: string }>} */
+  const images = new Map();
+  const pageIds = [];
+
+  for (const layout of job.pages) {
+    const { paperSize, buttonSize, buttons } = layout;
+    const cal = toCalibration(layout.cal);
+    const pageW = paperSize.width * POINTS_PER_INCH;
+    const pageH = paperSize.height * POINTS_PER_INCH;
+    const shape = getShape(buttonSize);
+    const { cut } = getGuideSizes(buttonSize);
+    const width = cut.width * cal.x * POINTS_PER_INCH;
+    const height = cut.height * cal.y * POINTS_PER_INCH;
+    const rx = width / 2;
+    const ry = height / 2;
+
+    const pageImages = new Set();
+    const ops = [];
+
+    for (const btn of buttons) {
+      if (!images.has(btn.imageState)) {
+        const canvas = createButtonCanvas(btn.imageState, cal, dpi, {
+          cutLine: false,
+          clip: false,
+          background: '#fff',
+        });
+        const id = writer.addObject(await jpegImageObject(canvas));
+        images.set(btn.imageState, { id, name: 'Im' + (images.size + 1) });
+      }
+      const image = images.get(btn.imageState);
+      pageImages.add(image);
+
+      // PDF origin is bottom-left; layout positions are top-left in inches.
+      const left = btn.x * POINTS_PER_INCH;
+      const bottom = pageH - btn.y * POINTS_PER_INCH - height;
+      const cx = left + rx;
+      const cy = bottom + ry;
+
+      ops.push('q');
+      ops.push(shapePath(shape, cx, cy, width, height) + ' W n');
+      ops.push(`${num(width)} 0 0 ${num(height)} ${num(left)} ${num(bottom)} cm /${image.name} Do`);
+      ops.push('Q');
+
+      ops.push('q');
+      ops.push(`${CUT_LINE_GRAY} G ${CUT_LINE_WIDTH_PT} w`);
+      ops.push(shapePath(shape, cx, cy, width, height) + ' S');
+      ops.push('Q');
+    }
+
+    (layout.marks || []).forEach((mark) => {
+      ops.push(registrationMarkOps(mark.x * POINTS_PER_INCH, pageH - mark.y * POINTS_PER_INCH));
+    });
+
+    const contentId = writer.addObject(streamObject('', ops.join('\n')));
+    const xObjects = [...pageImages].map((img) => `/${img.name} ${img.id} 0 R`).join(' ');
+    const pageId = writer.addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(pageW)} ${num(pageH)}] ` +
+      `/Resources << /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`
+    );
+    pageIds.push(pageId);
+  }
+
+  writer.setObject(pagesId,
+    `<< /Type /Pages /Kids [${pageIds.map((id) => id + ' 0 R').join(' ')}] /Count ${pageIds.length} >>`);
+  writer.setObject(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  return writer.toBlob(catalogId);
+}
+
+/* ============================================================
+   PDF building blocks
+   ============================================================ */
+
+/**
+ * Minimal PDF serializer: numbered objects, a cross-reference table and
+ * a trailer. Object bodies are strings (ASCII) or byte chunks.
+ */
+class PdfWriter {
+  constructor() {
+    /** @type {(string | Uint8Array)[][]} */
+    this.objects = [];
+  }
+
+  /**
+   * Reserve an object number to fill in later (for forward references).
+   * @returns {number}
+   */
+  reserve() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  /**
+   * @param {string | (string | Uint8Array)[]} body
+   * @returns {number} object number
+   */
+  addObject(body) {
+    const id = this.reserve();
+    this.setObject(id, body);
+    return id;
+  }
+
+  /**
+   * @param {number} id
+   * @param {string | (string | Uint8Array)[]} body
+   */
+  setObject(id, body) {
+    this.objects[id - 1] = Array.isArray(body) ? body : [body];
+  }
+
+  /**
+   * @param {number} rootId
+   * @returns {Blob}
+   */
+  toBlob(rootId) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let offset = 0;
+    const push = (part) => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    };
+
+    // Binary comment marks the file as containing 8-bit data
+    push('%PDF-1.4\n');
+    push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    const offsets = this.objects.map((body, i) => {
+      const start = offset;
+      push(`${i + 1} 0 obj\n`);
+      body.forEach(push);
+      push('\nendobj\n');
+      return start;
+    });
+
+    const xrefStart = offset;
+    push(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach((o) => push(String(o).padStart(10, '0') + ' 00000 n \n'));
+    push(`trailer\n<< /Size ${this.objects.length + 1} /Root ${rootId} 0 R >>\n`);
+    push(`startxref\n${xrefStart}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+}
+
+/**
+ * Build a stream object body.
+ * @param {string} dict – extra dictionary entries
+ * @param {string | Uint8Array} data
+ * @returns {(string | Uint8Array)[]}
+ */
+function streamObject(dict, data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return [`<< ${dict}${dict ? ' ' : ''}/Length ${bytes.length} >>\nstream\n`, bytes, '\nendstream'];
+}
+
+/**
+ * Encode a canvas as a JPEG image XObject body.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<(string | Uint8Array)[]>}
+ */
+async function jpegImageObject(canvas) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Failed to encode button image.'))), 'image/jpeg', 0.92);
+  });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return streamObject(
+    `/Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+    '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+    bytes
+  );
+}
+
+/**
+ * PDF path operators for a button shape centred on a point.
+ * @param {import('./buttonShapes').ButtonShape} shape
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+function shapePath(shape, cx, cy, width, height) {
+  if (shape === 'rect') {
+    return roundedRectPath(cx, cy, width, height, getCornerRadius(width, height));
+  }
+  if (shape === 'heart') {
+    // Outline points run clockwise with y down; PDF y runs up
+    return getShapeOutline(shape, width, height, OUTLINE_POINTS)
+      .map((p, i) => `${num(cx + p.x)} ${num(cy - p.y)} ${i === 0 ? 'm' : 'l'}`)
+      .concat('h')
+      .join(' ');
+  }
+  return ellipsePath(cx, cy, width / 2, height / 2);
+}
+
+/**
+ * PDF path operators for a rectangle with Bézier quarter-circle corners.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} width
+ * @param {number} height
+ * @param {number} r – corner radius
+ * @returns {string}
+ */
+function roundedRectPath(cx, cy, width, height, r) {
+  const left = cx - width / 2;
+  const right = cx + width / 2;
+  const bottom = cy - height / 2;
+  const top = cy + height / 2;
+  const k = r * KAPPA;
+  return [
+    `${num(left + r)} ${num(bottom)} m`,
+    `${num(right - r)} ${num(bottom)} l`,
+    `${num(right - r + k)} ${num(bottom)} ${num(right)} ${num(bottom + r - k)} ${num(right)} ${num(bottom + r)} c`,
+    `${num(right)} ${num(top - r)} l`,
+    `${num(right)} ${num(top - r + k)} ${num(right - r + k)} ${num(top)} ${num(right - r)} ${num(top)} c`,
+    `${num(left + r)} ${num(top)} l`,
+    `${num(left + r - k)} ${num(top)} ${num(left)} ${num(top - r + k)} ${num(left)} ${num(top - r)} c`,
+    `${num(left)} ${num(bottom + r)} l`,
+    `${num(left)} ${num(bottom + r - k)} ${num(left + r - k)} ${num(bottom)} ${num(left + r)} ${num(bottom)} c`,
+    'h',
+  ].join(' ');
+}
+
+/**
+ * PDF path operators for an ellipse made of four Bézier quarter arcs (a
+ * circle when rx = ry; calibration can make them differ slightly).
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} rx
+ * @param {number} ry
+ * @returns {string}
+ */
+function ellipsePath(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    `${num(cx + rx)} ${num(cy)} m`,
+    `${num(cx + rx)} ${num(cy + ky)} ${num(cx + kx)} ${num(cy + ry)} ${num(cx)} ${num(cy + ry)} c`,
+    `${num(cx - kx)} ${num(cy + ry)} ${num(cx - rx)} ${num(cy + ky)} ${num(cx - rx)} ${num(cy)} c`,
+    `${num(cx - rx)} ${num(cy - ky)} ${num(cx - kx)} ${num(cy - ry)} ${num(cx)} ${num(cy - ry)} c`,
+    `${num(cx + kx)} ${num(cy - ry)} ${num(cx + rx)} ${num(cy - ky)} ${num(cx + rx)} ${num(cy)} c`,
+    'h',
+  ].join(' ');
+}
+
+/**
+ * PDF content for a registration mark (circled crosshair) centred on a
+ * point, matching the marks on printed sheets.
+ * @param {number} cx
+ * @param {number} cy
+ * @returns {string}
+ */
+function registrationMarkOps(cx, cy) {
+  const r = REGISTRATION_MARK_SIZE * POINTS_PER_INCH / 2;
+  const arm = r * 1.3;
+  return [
+    'q',
+    `0 G ${MARK_LINE_WIDTH_PT} w`,
+    ellipsePath(cx, cy, r, r) + ' S',
+    `${num(cx - arm)} ${num(cy)} m ${num(cx + arm)} ${num(cy)} l S`,
+    `${num(cx)} ${num(cy - arm)} m ${num(cx)} ${num(cy + arm)} l S`,
+    'Q',
+  ].join('\n');
+}
+
+/**
+ * Format a number for PDF content (fixed precision, no exponent).
+ * @param {number} n
+ * @returns {string}
+ */
+function num(n) {
+  return (Math.round(n * 1000) / 1000).toString();
+}
@@ -0,0 +1,243 @@
+/**
+ * Personalization
+ *
+ * Turns one design into a batch of personalized buttons, one per row of
+ * a CSV file or pasted list (e.g. a badge per attendee). One of the
+ * design's text layers is the template: `{Name}` or `{2}` in its text is
+ * replaced by that column of each row, and text without placeholders is
+ * replaced by the first column.
+ *
+ * Each button's text shrinks, if needed, until it fits inside the content
+ * guide. The design itself keeps the template, so editing it changes
+ * every button in the batch.
+ */
+
+import { isTextOutsideContentGuide } from './textLayers.js';
+
+/** Smallest size template text is shrunk to, in points */
+export const MIN_FONT_SIZE = 6;
+
+/** Fitted font sizes kept before the cache is cleared */
+const FIT_CACHE_SIZE = 2000;
+
+/** Matches `{column}` placeholders */
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+/**
+ * @typedef {Object} NameBatch
+ * @property {number} textLayerId – the design's text layer used as the template
+ * @property {string[]} headers   – column names, empty when the list has none
+ * @property {string[][]} rows
+ */
+
+/**
+ * @typedef {Object} PersonalizedButton
+ * @property {string} text   – the template filled in for this row
+ * @property {boolean} fits  – false when the text overflows even at MIN_FONT_SIZE
+ * @property {import('./canvasController').ImageState} imageState
+ */
+
+/** @type {Map<string, number>} */
+const fitCache = new Map();
+
+/** @type {CanvasRenderingContext2D | null} */
+let measureCtx = null;
+
+/**
+ * Split CSV (or tab-separated) text into rows of trimmed cells. Quoted
+ * cells may contain commas, line breaks and doubled quotes. Blank lines
+ * are skipped, so a plain list of names is one column.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Build a batch from CSV or list text. Throws an Error with a
+ * user-facing message when the text has no rows or the template names a
+ * column the list doesn't have.
+ *
+ * @param {string} text
+ * @param {import('./textLayers').TextLayer} template
+ * @param {boolean} hasHeader – the first row holds column names
+ * @returns {NameBatch}
+ */
+export function createNameBatch(text, template, hasHeader) {
+  const rows = parseCsv(text);
+  const headers = hasHeader ? rows.shift() || [] : [];
+  if (rows.length === 0) {
+    throw new Error('No names found. Paste one name per line, or choose a CSV file.');
+  }
+
+  const columns = Math.max(...rows.map((row) => row.length));
+  const unknown = getPlaceholders(template.text).filter((name) => {
+    const column = findColumn(name, headers);
+    return column < 0 || column >= columns;
+  });
+  if (unknown.length) {
+    throw new Error(`The list has no column for ${unknown.map((name) => `{${name}}`).join(', ')}.`);
+  }
+
+  return { textLayerId: template.id, headers, rows };
+}
+
+/**
+ * The design's template text layer, or null once it has been removed.
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {NameBatch} batch
+ * @returns {import('./textLayers').TextLayer | null}
+ */
+export function getBatchTemplate(imageState, batch) {
+  return (imageState.textLayers || []).find((layer) => layer.id === batch.textLayerId) || null;
+}
+
+/**
+ * Fill the template text in for one row.
+ * @param {string} template
+ * @param {NameBatch} batch
+ * @param {string[]} row
+ * @returns {string}
+ */
+export function fillTemplate(template, batch, row) {
+  if (getPlaceholders(template).length === 0) return row[0] || '';
+  return template.replace(PLACEHOLDER, (match, name) => {
+    const column = findColumn(name, batch.headers);
+    return column < 0 ? match : row[column] || '';
+  });
+}
+
+/**
+ * One button per row of the batch, in row order, each with the template
+ * filled in and shrunk to fit. The image state needs its button size.
+ *
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {NameBatch} batch
+ * @returns {PersonalizedButton[] | null} null when the template layer is gone
+ */
+export function expandNameBatch(imageState, batch) {
+  const template = getBatchTemplate(imageState, batch);
+  if (!template) return null;
+
+  return batch.rows.map((row) => {
+    const text = fillTemplate(template.text, batch, row);
+    const fontSize = fitFontSize({ ...template, text }, imageState.buttonSize);
+    const layer = { ...template, text, fontSize };
+    return {
+      text,
+      fits: fontSize > MIN_FONT_SIZE || !outsideContentGuide(layer, imageState.buttonSize),
+      imageState: {
+        ...imageState,
+        textLayers: imageState.textLayers.map((l) => (l.id === template.id ? layer : l)),
+      },
+    };
+  });
+}
+
+/**
+ * Largest font size, from the layer's own down to MIN_FONT_SIZE, at which
+ * the layer stays inside the content guide. Results are cached.
+ * @param {import('./textLayers').TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @returns {number} points
+ */
+function fitFontSize(layer, buttonSize) {
+  const key = JSON.stringify([layer, buttonSize]);
+  if (fitCache.has(key)) return fitCache.get(key);
+
+  let size = layer.fontSize;
+  if (size > MIN_FONT_SIZE && outsideContentGuide(layer, buttonSize)) {
+    // Binary search to a tenth of a point, keeping the size that fits
+    let low = MIN_FONT_SIZE;
+    let high = size;
+    while (high - low > 0.1) {
+      const mid = (low + high) / 2;
+      if (outsideContentGuide({ ...layer, fontSize: mid }, buttonSize)) high = mid;
+      else low = mid;
+    }
+    size = Math.floor(low * 10) / 10;
+  }
+
+  if (fitCache.size >= FIT_CACHE_SIZE) fitCache.clear();
+  fitCache.set(key, size);
+  return size;
+}
+
+/**
+ * @param {import('./textLayers').TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @returns {boolean}
+ */
+function outsideContentGuide(layer, buttonSize) {
+  if (!measureCtx) {
+    measureCtx = document.createElement('canvas').getContext('2d');
+  }
+  return isTextOutsideContentGuide(measureCtx, layer, buttonSize);
+}
+
+/**
+ * Column names used by a template's placeholders.
+ * @param {string} template
+ * @returns {string[]}
+ */
+function getPlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER)].map((match) => match[1].trim());
+}
+
+/**
+ * Index of a placeholder's column: a header name (any case) or a 1-based
+ * column number.
+ * @param {string} name
+ * @param {string[]} headers
+ * @returns {number} -1 when there is no such column
+ */
+function findColumn(name, headers) {
+  const key = name.trim().toLowerCase();
+  const byName = headers.findIndex((header) => header.toLowerCase() === key);
+  if (byName >= 0) return byName;
+  const number = Number(key);
+  return Number.isInteger(number) && number > 0 ? number - 1 : -1;
+}
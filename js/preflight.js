@@ -0,0 +1,190 @@
+/**
+ * Pre-flight Checks
+ *
+ * Looks for problems in a design before it is printed: blank paper inside
+ * the cut line, a source image too small for the print resolution, and
+ * transparent pixels in the wrap zone (between the button face and the
+ * cut line, which folds around the side of the button).
+ *
+ * Checks sample the design along outlines of the button's shape around its
+ * centre, in the same uncalibrated CSS-pixel frame as the interactive
+ * canvas, and report where on the button each problem is so the canvas
+ * can highlight it. Visible image layers count as covering the paper
+ * wherever they are opaque.
+ */
+
+import { inchesToPixels } from './measurementConverter.js';
+import { getAlphaMap, isTransparentAt } from './imageAnalysis.js';
+import { getEffectiveDpi } from './printGenerator.js';
+import { getShape, getGuideSizes, getShapeOutline } from './buttonShapes.js';
+
+/** Samples per outline; each highlighted segment spans one of them */
+export const SAMPLE_ANGLES = 144;
+
+/** Outlines sampled across the wrap zone */
+const SAMPLE_RINGS = 5;
+
+/** Backgrounds that show under transparent pixels */
+const FILLS_UNDER_IMAGE = ['solid', 'gradient', 'blur'];
+
+/**
+ * @typedef {Object} PreflightIssue
+ * @property {'uncovered' | 'low-resolution' | 'transparent-wrap'} type
+ * @property {string} message
+ * @property {PreflightHighlight | null} highlight – where to mark it on the canvas
+ */
+
+/**
+ * Either the part of the cut line the image doesn't reach, or segments
+ * of the wrap zone between the `inner` and `outer` outlines (by sample
+ * index, 0 = top centre, clockwise; see getShapeOutline). Sizes are CSS px.
+ * @typedef {{ kind: 'uncovered' } |
+ *   { kind: 'band', inner: import('./buttonShapes').ShapeSize,
+ *     outer: import('./buttonShapes').ShapeSize, segments: number[] }} PreflightHighlight
+ */
+
+/**
+ * Check one design against its button size.
+ *
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {Object} options
+ * @param {number} options.dpi – print resolution the image should reach
+ * @param {number | import('./measurementConverter').Calibration} [options.cal=1.0]
+ * @returns {PreflightIssue[]}
+ */
+export function checkDesign(imageState, { dpi, cal = 1.0 }) {
+  const { image, buttonSize, background } = imageState;
+  if (!image || !buttonSize) return [];
+
+  const shape = getShape(buttonSize);
+  const guides = getGuideSizes(buttonSize);
+  const cut = { width: inchesToPixels(guides.cut.width), height: inchesToPixels(guides.cut.height) };
+  const face = { width: inchesToPixels(guides.face.width), height: inchesToPixels(guides.face.height) };
+  const backgroundType = background ? background.type : 'none';
+  const toImage = createButtonToImage(imageState);
+  const coveredByLayer = createLayerCoverage(imageState.imageLayers || []);
+  const issues = [];
+
+  // Blank paper inside the cut line. The image is a convex rectangle, so
+  // it covers the cut shape exactly when it covers the outline; layers
+  // are checked along the same outline, where coverage runs out first.
+  if (backgroundType === 'none') {
+    const uncovered = sampleBand(shape, cut, cut, (x, y) => (
+      !insideImage(image, toImage(x, y)) && !coveredByLayer(x, y)
+    ));
+    if (uncovered.length) {
+      issues.push({
+        type: 'uncovered',
+        message: 'The image doesn\'t reach the cut line, so blank paper will show on the button. ' +
+          'Scale it up, move it or choose a background.',
+        highlight: { kind: 'uncovered' },
+      });
+    }
+  }
+
+  const ppi = getEffectiveDpi(imageState, cal);
+  if (ppi < dpi) {
+    issues.push({
+      type: 'low-resolution',
+      message: `The image is about ${Math.round(ppi)} px/in at this size, below the ${dpi} DPI print ` +
+        'setting, so it may print soft or pixelated.',
+      highlight: null,
+    });
+  }
+
+  const alpha = getAlphaMap(image);
+  if (alpha && !FILLS_UNDER_IMAGE.includes(backgroundType)) {
+    const segments = sampleBand(shape, face, cut, (x, y) => {
+      const p = toImage(x, y);
+      return insideImage(image, p) && isTransparentAt(alpha, p.x, p.y) && !coveredByLayer(x, y);
+    });
+    if (segments.length) {
+      issues.push({
+        type: 'transparent-wrap',
+        message: 'Transparent parts of the image fall in the wrap zone around the edge of the button. ' +
+          'Choose a background to fill them.',
+        highlight: { kind: 'band', inner: face, outer: cut, segments },
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Sample outlines from the `inner` to the `outer` size and collect the
+ * sample indices where the test hits on any of them.
+ * @param {import('./buttonShapes').ButtonShape} shape
+ * @param {import('./buttonShapes').ShapeSize} inner
+ * @param {import('./buttonShapes').ShapeSize} outer
+ * @param {(x: number, y: number) => boolean} test – button-centre coordinates
+ * @returns {number[]}
+ */
+function sampleBand(shape, inner, outer, test) {
+  const rings = inner === outer ? 1 : SAMPLE_RINGS;
+  const innerPoints = getShapeOutline(shape, inner.width, inner.height, SAMPLE_ANGLES);
+  const outerPoints = getShapeOutline(shape, outer.width, outer.height, SAMPLE_ANGLES);
+  const hits = [];
+  for (let i = 0; i < SAMPLE_ANGLES; i++) {
+    const a = innerPoints[i];
+    const b = outerPoints[i];
+    for (let r = 0; r < rings; r++) {
+      // Ring centres, so the band's edges aren't sampled twice
+      const t = rings === 1 ? 0 : (r + 0.5) / rings;
+      if (test(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) {
+        hits.push(i);
+        break;
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * Map button-centre coordinates to natural image pixels, undoing the
+ * image's offset, rotation, flips and scale (see drawDesign).
+ * @param {import('./canvasController').ImageState} imageState
+ * @returns {(x: number, y: number) => { x: number, y: number }}
+ */
+function createButtonToImage(imageState) {
+  const { image, scale, offsetX, offsetY, rotation = 0, flipX = false, flipY = false } = imageState;
+  const rad = -rotation * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return (x, y) => {
+    const dx = x - offsetX;
+    const dy = y - offsetY;
+    let ix = (dx * cos - dy * sin) / scale;
+    let iy = (dx * sin + dy * cos) / scale;
+    if (flipX) ix = -ix;
+    if (flipY) iy = -iy;
+    return { x: ix + image.naturalWidth / 2, y: iy + image.naturalHeight / 2 };
+  };
+}
+
+/**
+ * Test for whether a visible image layer has an opaque pixel at a point.
+ * @param {import('./imageLayers').ImageLayer[]} imageLayers
+ * @returns {(x: number, y: number) => boolean} button-centre coordinates
+ */
+function createLayerCoverage(imageLayers) {
+  const layers = imageLayers
+    .filter((layer) => layer.visible && layer.opacity > 0)
+    .map((layer) => ({ layer, alpha: getAlphaMap(layer.image) }));
+  return (x, y) => layers.some(({ layer, alpha }) => {
+    const p = {
+      x: (x - layer.offsetX) / layer.scale + layer.image.naturalWidth / 2,
+      y: (y - layer.offsetY) / layer.scale + layer.image.naturalHeight / 2,
+    };
+    return insideImage(layer.image, p) && !(alpha && isTransparentAt(alpha, p.x, p.y));
+  });
+}
+
+/**
+ * @param {HTMLImageElement} image
+ * @param {{ x: number, y: number }} p – natural image px
+ * @returns {boolean}
+ */
+function insideImage(image, p) {
+  return p.x >= 0 && p.y >= 0 && p.x <= image.naturalWidth && p.y <= image.naturalHeight;
+}
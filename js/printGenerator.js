@@ -1,48 +1,63 @@
 /**
  * Print Generator
  *
- * Creates printable layouts with multiple button images arranged on
- * US letter-sized paper at precise physical dimensions.
+ * Creates printable layouts with multiple button images (one or several
+ * designs) arranged on the chosen paper at precise physical dimensions.
  *
  * Uses CSS inches so that browser print media queries map 1 CSS inch
  * to 1 physical inch on paper.
  */
 
-import { inchesToPixels } from './measurementConverter.js';
-import { getCalibrationFactor } from './settingsManager.js';
-import { BUTTON_SIZES } from './buttonSizes.js';
+import { inchesToPixels, PIXELS_PER_INCH, toCalibration } from './measurementConverter.js';
+import { getCalibrationFactors } from './settingsManager.js';
+import { getAllButtonSizes } from './buttonSizes.js';
+import { US_LETTER } from './paperSizes.js';
+import { getLayoutOptions, pickBestLayout, DEFAULT_CUTTER_GAP } from './layoutOptimizer.js';
+import { drawDesign } from './designRenderer.js';
+import { getShape, getGuideSizes, traceShape } from './buttonShapes.js';
 
-/** Standard US Letter paper */
-export const US_LETTER = {
-  width: 8.5,   // inches
-  height: 11,   // inches
-  marginTop: 0.5,
-  marginRight: 0.5,
-  marginBottom: 0.5,
-  marginLeft: 0.5,
-};
+export { US_LETTER };
+
+/** id of the injected stylesheet carrying the print `@page` size */
+const PAGE_STYLE_ID = 'print-page-size';
+
+/** Width and height of a corner registration mark, inches */
+export const REGISTRATION_MARK_SIZE = 0.25;
+
+/** Distance of the test sheet's offset target from the right and top paper edges, inches */
+export const OFFSET_TARGET_INSET = 1;
+
+/** Padding around the test sheet (see .test-sheet-page), inches */
+const TEST_SHEET_PADDING = 0.5;
+
+/** Room taken by a reference line's label and the gap after it, inches */
+const TEST_SHEET_LABEL_WIDTH = 0.55;
+
+/** Lengths of the test sheet's horizontal reference lines, inches */
+const REFERENCE_LINE_LENGTHS = [1, 2, 3, 4, 5, 6];
 
 /**
  * Calculate how many buttons fit on a given paper size.
  *
- * The optional `cal` factor sizes the grid against the calibrated cut
- * diameter so that, after positions/sizes are scaled in `renderPrintLayout`,
- * the buttons still fit inside the 8.5×11 page box. Otherwise calibrated
- * content overflows and printers with "Shrink to fit" enabled silently
- * rescale the whole sheet.
+ * The optional `cal` factors size the grid against the calibrated cut
+ * line on each axis so that, after positions/sizes are scaled in
+ * `renderPrintLayout`, the buttons still fit inside the page box. Otherwise
+ * calibrated content overflows and printers with "Shrink to fit" enabled
+ * silently rescale the whole sheet.
  *
  * @param {import('./buttonSizes').ButtonSize} buttonSize
- * @param {typeof US_LETTER} paperSize
- * @param {number} [cal=1.0]
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
  * @returns {{ columns: number, rows: number, total: number }}
  */
 export function calculateButtonsPerPage(buttonSize, paperSize = US_LETTER, cal = 1.0) {
+  const { x: calX, y: calY } = toCalibration(cal);
   const printableWidth = paperSize.width - paperSize.marginLeft - paperSize.marginRight;
   const printableHeight = paperSize.height - paperSize.marginTop - paperSize.marginBottom;
-  const calibratedDiameter = buttonSize.cutLineDiameter * cal;
 
-  const columns = Math.floor(printableWidth / calibratedDiameter);
-  let rows = Math.floor(printableHeight / calibratedDiameter);
+  const { cut } = getGuideSizes(buttonSize);
+  const columns = Math.floor(printableWidth / (cut.width * calX));
+  let rows = Math.floor(printableHeight / (cut.height * calY));
 
   // Respect per-size row cap (e.g. 1.25" buttons limited to 5 rows)
   if (buttonSize.maxRows && rows > buttonSize.maxRows) {
@@ -52,106 +67,174 @@ export function calculateButtonsPerPage(buttonSize, paperSize = US_LETTER, cal =
   return { columns, rows, total: columns * rows };
 }
 
+/**
+ * Share a set of designs across a number of print slots.
+ *
+ * Designs with a fixed `quantity` get exactly that many slots. The slots
+ * left over are split evenly between designs without a quantity, with
+ * earlier designs taking any remainder. Each design's buttons stay
+ * contiguous, in queue order, so the sheet is easy to sort after cutting.
+ * Slots beyond the requested quantities are left empty.
+ *
+ * @param {{ imageState: import('./canvasController').ImageState, quantity: number | null }[]} designs
+ * @param {number} slotCount
+ * @returns {import('./canvasController').ImageState[]} one image state per filled slot
+ */
+export function assignDesignsToSlots(designs, slotCount) {
+  const fixedTotal = designs.reduce((sum, d) => sum + (d.quantity > 0 ? d.quantity : 0), 0);
+  const autoDesigns = designs.filter((d) => !(d.quantity > 0));
+  const leftover = Math.max(0, slotCount - fixedTotal);
+  const autoShare = autoDesigns.length ? Math.floor(leftover / autoDesigns.length) : 0;
+  let autoRemainder = autoDesigns.length ? leftover % autoDesigns.length : 0;
+
+  const slots = [];
+  designs.forEach((design) => {
+    let count;
+    if (design.quantity > 0) {
+      count = design.quantity;
+    } else {
+      count = autoShare + (autoRemainder > 0 ? 1 : 0);
+      if (autoRemainder > 0) autoRemainder--;
+    }
+    for (let i = 0; i < count && slots.length < slotCount; i++) {
+      slots.push(design.imageState);
+    }
+  });
+
+  return slots;
+}
+
 /**
  * Generate a print layout description.
  *
  * Positions and the implied cell size honour `cal` so the calibrated grid
- * stays inside the page. The returned layout carries `cal` forward so
- * `renderPrintLayout` can size each button to `cutLineDiameter * cal`
- * without rescaling positions a second time.
+ * stays inside the page. The returned layout carries `cal` (as X/Y
+ * factors) forward so `renderPrintLayout` can size each button to the cut
+ * line's width * `cal.x` by its height * `cal.y` without rescaling
+ * positions a second time.
  *
- * @param {import('./canvasController').ImageState} imageState
- * @param {typeof US_LETTER} paperSize
- * @param {number} [cal=1.0]
+ * Every button carries its own image state, so one sheet can mix several
+ * designs (see `assignDesignsToSlots`). All designs share the button size
+ * of the first one.
+ *
+ * @param {{ imageState: import('./canvasController').ImageState, quantity: number | null }[]} designs
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @param {LayoutChoice} [layoutChoice]
  * @returns {import('./types').PrintLayout}
+ *
+ * @typedef {Object} LayoutChoice
+ * @property {string} [arrangement='auto'] – a LayoutOption id, or 'auto' for the most buttons
+ * @property {number} [gap=DEFAULT_CUTTER_GAP] – minimum space between cut lines, inches
+ * @property {boolean} [registrationMarks=false] – add a mark in each corner of the sheet
  */
-export function generatePrintLayout(imageState, paperSize = US_LETTER, cal = 1.0) {
-  const { buttonSize } = imageState;
+export function generatePrintLayout(designs, paperSize = US_LETTER, cal = 1.0, layoutChoice = {}) {
+  cal = toCalibration(cal);
+  const { buttonSize } = designs[0].imageState;
+  const { grid, positions, id } = generatePositions(buttonSize, paperSize, cal, layoutChoice);
+  const marks = layoutChoice.registrationMarks ? getRegistrationMarks(paperSize, cal) : [];
 
-  if (buttonSize.layout === 'hex') {
-    return generateHexPrintLayout(imageState, paperSize, cal);
-  }
+  const slots = assignDesignsToSlots(designs, positions.length);
+  const buttons = slots.map((imageState, i) => ({ ...positions[i], imageState }));
 
-  const calibratedDiameter = buttonSize.cutLineDiameter * cal;
-  const grid = calculateButtonsPerPage(buttonSize, paperSize, cal);
+  return { paperSize, buttonSize, grid, buttons, cal, arrangement: id, marks };
+}
 
-  const printableWidth = paperSize.width - paperSize.marginLeft - paperSize.marginRight;
-  const printableHeight = paperSize.height - paperSize.marginTop - paperSize.marginBottom;
+/**
+ * Generate a print job that spreads the buttons over as many pages as
+ * needed. Every page uses the same slot positions as a single-sheet
+ * `generatePrintLayout`, and designs keep their queue order across pages.
+ *
+ * `targetCount` is the total number of buttons to print. Without one, the
+ * job covers the designs' fixed quantities rounded up to whole sheets, and
+ * designs without a quantity fill the remaining slots (a single full sheet
+ * when no design has a quantity).
+ *
+ * @param {{ imageState: import('./canvasController').ImageState, quantity: number | null }[]} designs
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @param {number | null} [targetCount=null]
+ * @param {LayoutChoice} [layoutChoice]
+ * @returns {{ pages: import('./types').PrintLayout[], total: number, perPage: number }}
+ */
+export function generatePrintJob(designs, paperSize = US_LETTER, cal = 1.0, targetCount = null, layoutChoice = {}) {
+  cal = toCalibration(cal);
+  const { buttonSize } = designs[0].imageState;
+  const { grid, positions, id } = generatePositions(buttonSize, paperSize, cal, layoutChoice);
+  const marks = layoutChoice.registrationMarks ? getRegistrationMarks(paperSize, cal) : [];
+  const perPage = positions.length;
+
+  if (perPage === 0) {
+    return { pages: [], total: 0, perPage };
+  }
 
-  const cellWidth = printableWidth / grid.columns;
-  const cellHeight = printableHeight / grid.rows;
+  let total = targetCount;
+  if (!(total > 0)) {
+    const fixedTotal = designs.reduce((sum, d) => sum + (d.quantity > 0 ? d.quantity : 0), 0);
+    total = Math.max(1, Math.ceil(fixedTotal / perPage)) * perPage;
+  }
 
-  const buttons = [];
-  for (let row = 0; row < grid.rows; row++) {
-    for (let col = 0; col < grid.columns; col++) {
-      // Centre the calibrated button within its cell.
-      const x = paperSize.marginLeft + col * cellWidth + (cellWidth - calibratedDiameter) / 2;
-      const y = paperSize.marginTop + row * cellHeight + (cellHeight - calibratedDiameter) / 2;
-      buttons.push({ x, y, imageState });
-    }
+  const slots = assignDesignsToSlots(designs, total);
+  const pages = [];
+  for (let start = 0; start < slots.length; start += perPage) {
+    const buttons = slots
+      .slice(start, start + perPage)
+      .map((imageState, i) => ({ ...positions[i], imageState }));
+    pages.push({ paperSize, buttonSize, grid, buttons, cal, arrangement: id, marks });
   }
 
-  return { paperSize, buttonSize, grid, buttons, cal };
+  return { pages, total: slots.length, perPage };
 }
 
 /**
- * Generate a hex-packed (brick pattern) print layout.
- *
- * Alternating rows of 3 and 2 buttons, with rows packed closer
- * together using hexagonal spacing (diameter × √3/2) so adjacent
- * rows overlap while leaving a small gap between circles.
+ * Compute the slot positions for a button size: the requested
+ * arrangement, or the one holding the most buttons (see layoutOptimizer).
+ * Positions are moved against the printer's measured offset so the
+ * buttons land where they were laid out.
  *
- * @param {import('./canvasController').ImageState} imageState
- * @param {typeof US_LETTER} paperSize
- * @returns {import('./types').PrintLayout}
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {import('./measurementConverter').Calibration} cal
+ * @param {LayoutChoice} layoutChoice
+ * @returns {import('./layoutOptimizer').LayoutOption}
  */
-function generateHexPrintLayout(imageState, paperSize, cal = 1.0) {
-  const { buttonSize } = imageState;
-  const diameter = buttonSize.cutLineDiameter * cal;
-  const numRows = buttonSize.maxRows || 4;
-  // Distribute available space equally across 2 inter-button gaps + 2 edge margins.
-  // Clamp at 0.2in max to avoid excessive spacing for smaller buttons.
-  const available = paperSize.width - 3 * diameter;
-  const gap = Math.min(0.2, Math.max(0, available / 4));
-  const step = diameter + gap; // centre-to-centre distance within a row
-
-  // Alternating rows: 3 buttons, 2 buttons, 3, 2, …
-  const rowCounts = [];
-  for (let i = 0; i < numRows; i++) {
-    rowCounts.push(i % 2 === 0 ? 3 : 2);
-  }
-  const total = rowCounts.reduce((sum, n) => sum + n, 0);
-
-  // Centre 3-button rows horizontally on the page
-  const totalWidth = 2 * step + diameter; // 3 buttons with gaps
-  const startX3 = (paperSize.width - totalWidth) / 2;
-  const startX2 = startX3 + step / 2; // half-step offset for 2-button rows
-
-  // Hex-pack vertically with gap: row spacing = step × √3/2
-  const rowSpacing = step * Math.sqrt(3) / 2;
-  const totalHeight = (numRows - 1) * rowSpacing + diameter;
-  const startY = (paperSize.height - totalHeight) / 2;
-
-  const buttons = [];
-  for (let row = 0; row < numRows; row++) {
-    const count = rowCounts[row];
-    const baseX = count === 3 ? startX3 : startX2;
-    const y = startY + row * rowSpacing;
-
-    for (let col = 0; col < count; col++) {
-      const x = baseX + col * step;
-      buttons.push({ x, y, imageState });
-    }
-  }
+function generatePositions(buttonSize, paperSize, cal, layoutChoice) {
+  const { arrangement = 'auto', gap = DEFAULT_CUTTER_GAP } = layoutChoice;
+  const options = getLayoutOptions(buttonSize, paperSize, cal, gap);
+  const option = options.find((o) => o.id === arrangement) || pickBestLayout(options, buttonSize.layout);
+  return { ...option, positions: option.positions.map((p) => shiftPosition(p, cal)) };
+}
 
-  const grid = {
-    columns: 3,
-    rows: numRows,
-    total,
-    layout: 'hex',
-  };
+/**
+ * Centres of the registration marks: one in the middle of each corner of
+ * the margin, outside the area buttons are placed in. Like the buttons,
+ * they are moved against the printer's offset.
+ *
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @param {import('./measurementConverter').Calibration} cal
+ * @returns {{ x: number, y: number }[]} inches from the top-left of the page
+ */
+export function getRegistrationMarks(paperSize, cal) {
+  const left = paperSize.marginLeft / 2;
+  const right = paperSize.width - paperSize.marginRight / 2;
+  const top = paperSize.marginTop / 2;
+  const bottom = paperSize.height - paperSize.marginBottom / 2;
+  return [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: left, y: bottom },
+    { x: right, y: bottom },
+  ].map((p) => shiftPosition(p, toCalibration(cal)));
+}
 
-  return { paperSize, buttonSize, grid, buttons, cal };
+/**
+ * Move a page position against the printer's measured offset.
+ * @param {{ x: number, y: number }} p
+ * @param {import('./measurementConverter').Calibration} cal
+ * @returns {{ x: number, y: number }}
+ */
+function shiftPosition(p, cal) {
+  return { x: p.x - cal.offsetX, y: p.y - cal.offsetY };
 }
 
 /**
@@ -159,18 +242,23 @@ function generateHexPrintLayout(imageState, paperSize, cal = 1.0) {
  * positioned canvases so the browser's print engine produces
  * physically accurate output.
  *
- * Applies calibration scale factor so CSS inches map to real inches.
+ * Applies the calibration factors (per axis) so CSS inches map to real
+ * inches.
+ * Each canvas's backing store is drawn at `dpi` pixels per inch while its
+ * CSS size stays in inches, so higher values print sharper without
+ * changing the physical button size.
  *
  * @param {import('./types').PrintLayout} layout
- * @param {HTMLElement} container – the #print-layout div
+ * @param {HTMLElement} container – the #print-layout div, or one page of it
+ * @param {number} [dpi=PIXELS_PER_INCH]
  */
-export function renderPrintLayout(layout, container) {
+export function renderPrintLayout(layout, container, dpi = PIXELS_PER_INCH) {
   // Clear previous content
   container.innerHTML = '';
 
-  const { buttonSize, buttons, cal = 1.0 } = layout;
-  const cutDiameterIn = buttonSize.cutLineDiameter * cal;
-  const cutRadiusIn = cutDiameterIn / 2;
+  const { buttonSize, buttons } = layout;
+  const cal = toCalibration(layout.cal);
+  const { cut } = getGuideSizes(buttonSize);
 
   // Each button is rendered on its own canvas, sized in CSS inches
   buttons.forEach((btn) => {
@@ -180,75 +268,216 @@ export function renderPrintLayout(layout, container) {
     // btn.x/btn.y already include calibration (from generatePrintLayout).
     cellDiv.style.left = btn.x + 'in';
     cellDiv.style.top = btn.y + 'in';
-    cellDiv.style.width = cutDiameterIn + 'in';
-    cellDiv.style.height = cutDiameterIn + 'in';
+    cellDiv.style.width = (cut.width * cal.x) + 'in';
+    cellDiv.style.height = (cut.height * cal.y) + 'in';
 
-    const c = document.createElement('canvas');
-    const sizePx = inchesToPixels(cutDiameterIn);
-    c.width = sizePx;
-    c.height = sizePx;
-    c.style.width = cutDiameterIn + 'in';
-    c.style.height = cutDiameterIn + 'in';
+    const c = createButtonCanvas(btn.imageState, cal, dpi);
+    cellDiv.appendChild(c);
+    container.appendChild(cellDiv);
+  });
 
-    const ctx = c.getContext('2d');
-    const cx = sizePx / 2;
-    const cy = sizePx / 2;
+  (layout.marks || []).forEach((mark) => {
+    container.appendChild(createRegistrationMark(mark.x, mark.y));
+  });
+}
 
-    const { image, scale, offsetX, offsetY } = btn.imageState;
+/**
+ * A registration mark (a circled crosshair) centred on a page position.
+ * @param {number} x – inches
+ * @param {number} y – inches
+ * @returns {HTMLElement}
+ */
+function createRegistrationMark(x, y) {
+  const mark = document.createElement('div');
+  mark.className = 'registration-mark';
+  mark.style.left = (x - REGISTRATION_MARK_SIZE / 2) + 'in';
+  mark.style.top = (y - REGISTRATION_MARK_SIZE / 2) + 'in';
+  mark.style.width = REGISTRATION_MARK_SIZE + 'in';
+  mark.style.height = REGISTRATION_MARK_SIZE + 'in';
+  return mark;
+}
 
-    // Compute the scale ratio: the interactive canvas may differ in size
-    // from the print canvas, so we need to map offsets accordingly.
-    // On the interactive canvas the cut-line circle also has radius
-    // = inchesToPixels(cutRadiusIn), so the ratio is 1:1 for offsets.
-    const cutRadiusPx = inchesToPixels(cutRadiusIn);
+/**
+ * Draw one finished button (design clipped to the cut line plus the cut
+ * line itself) onto a new canvas.
+ *
+ * The canvas backing store is `dpi` pixels per inch; drawing happens in
+ * CSS-pixel units under a context scale, so image offsets from the
+ * interactive canvas map across unchanged at any resolution. With
+ * different X/Y calibration the canvas (and the cut line) is slightly
+ * stretched, so that it prints true to shape.
+ *
+ * Exporters that draw their own vector cut line and clip path can turn
+ * off `cutLine` and `clip`, and pass `background` to fill the canvas first
+ * (e.g. white for formats without transparency). On-screen previews pass
+ * `preview` to draw colour adjustments from a smaller copy (see drawDesign).
+ *
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @param {number} [dpi=PIXELS_PER_INCH]
+ * @param {{ cutLine?: boolean, clip?: boolean, background?: string, preview?: boolean }} [options]
+ * @returns {HTMLCanvasElement}
+ */
+export function createButtonCanvas(imageState, cal = 1.0, dpi = PIXELS_PER_INCH, options = {}) {
+  const { cutLine = true, clip = true, background = null, preview = false } = options;
+  const { buttonSize } = imageState;
+  cal = toCalibration(cal);
+  const shape = getShape(buttonSize);
+  const { cut } = getGuideSizes(buttonSize);
+  const widthIn = cut.width * cal.x;
+  const heightIn = cut.height * cal.y;
+
+  const c = document.createElement('canvas');
+  c.width = Math.round(widthIn * dpi);
+  c.height = Math.round(heightIn * dpi);
+  c.style.width = widthIn + 'in';
+  c.style.height = heightIn + 'in';
+
+  const ctx = c.getContext('2d');
+  ctx.scale(c.width / inchesToPixels(widthIn), c.height / inchesToPixels(heightIn));
+  ctx.imageSmoothingQuality = 'high';
+
+  // From here on, units are CSS pixels (96 per inch).
+  const widthPx = inchesToPixels(widthIn);
+  const heightPx = inchesToPixels(heightIn);
+  const cx = widthPx / 2;
+  const cy = heightPx / 2;
+
+  // On the interactive canvas the cut line is also inchesToPixels() of its
+  // size in inches, so offsets map 1:1 before calibration.
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, widthPx, heightPx);
+  }
 
-    // Clip image to the circular cut-line area so background is transparent
-    ctx.save();
+  // Clip the design to the cut line so background is transparent
+  ctx.save();
+  if (clip) {
     ctx.beginPath();
-    ctx.arc(cx, cy, cutRadiusPx, 0, Math.PI * 2);
+    ctx.translate(cx, cy);
+    traceShape(ctx, shape, widthPx, heightPx);
+    ctx.translate(-cx, -cy);
     ctx.clip();
+  }
 
-    // Draw image. The interactive canvas used uncalibrated dimensions, so
-    // scale was computed to fill the uncalibrated cut circle. Multiply by cal
-    // here so the image fills the larger (calibrated) print canvas correctly.
-    const drawW = image.naturalWidth * scale * cal;
-    const drawH = image.naturalHeight * scale * cal;
-    const imgX = cx - drawW / 2 + offsetX;
-    const imgY = cy - drawH / 2 + offsetY;
-
-    ctx.drawImage(image, imgX, imgY, drawW, drawH);
-    ctx.restore();
+  drawDesign(ctx, imageState, cx, cy, cal, { preview });
+  ctx.restore();
 
-    // Draw cut-line circle (solid)
+  if (cutLine) {
+    // Draw cut line (solid)
     ctx.save();
     ctx.strokeStyle = '#999';
     ctx.lineWidth = 1;
     ctx.setLineDash([]);
+    ctx.translate(cx, cy);
     ctx.beginPath();
-    ctx.arc(cx, cy, cutRadiusPx, 0, Math.PI * 2);
+    traceShape(ctx, shape, widthPx, heightPx);
     ctx.stroke();
     ctx.restore();
+  }
 
-    cellDiv.appendChild(c);
-    container.appendChild(cellDiv);
+  return c;
+}
+
+/**
+ * Effective print resolution of an image: how many source pixels land
+ * on each printed inch at the current scale.
+ *
+ * With two-axis calibration the image is stretched more along one axis;
+ * the lower resolution of the two is reported.
+ *
+ * @param {import('./canvasController').ImageState} imageState
+ * @param {number | import('./measurementConverter').Calibration} [cal=1.0]
+ * @returns {number} source pixels per inch
+ */
+export function getEffectiveDpi(imageState, cal = 1.0) {
+  const { x, y } = toCalibration(cal);
+  return PIXELS_PER_INCH / (imageState.scale * Math.max(x, y));
+}
+
+/**
+ * Render every page of a print job into the container. Each page is its
+ * own paper-sized box followed by a page break, so the browser prints
+ * exactly one sheet per page without any "shrink to fit" rescaling.
+ *
+ * @param {{ pages: import('./types').PrintLayout[] }} job
+ * @param {HTMLElement} container – the #print-layout div
+ * @param {number} [dpi=PIXELS_PER_INCH]
+ */
+export function renderPrintJob(job, container, dpi = PIXELS_PER_INCH) {
+  container.innerHTML = '';
+
+  job.pages.forEach((page) => {
+    const pageDiv = document.createElement('div');
+    pageDiv.className = 'print-page';
+    pageDiv.style.width = page.paperSize.width + 'in';
+    pageDiv.style.height = page.paperSize.height + 'in';
+    renderPrintLayout(page, pageDiv, dpi);
+    container.appendChild(pageDiv);
   });
+
+  if (job.pages.length) {
+    setPrintPageSize(job.pages[0].paperSize);
+  }
+}
+
+/**
+ * Point the print `@page` rule at the given paper so the browser prints
+ * onto a sheet of exactly that size with no margins of its own (the
+ * layout already includes them).
+ *
+ * @param {import('./paperSizes').PaperSize} paperSize
+ */
+export function setPrintPageSize(paperSize) {
+  let style = document.getElementById(PAGE_STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = PAGE_STYLE_ID;
+    document.head.appendChild(style);
+  }
+  style.textContent =
+    `@media print { @page { size: ${paperSize.width}in ${paperSize.height}in; margin: 0; } }`;
+}
+
+/**
+ * The horizontal reference lines that fit across the test sheet on a
+ * paper size, shortest first. The longest is the one measured for
+ * calibration.
+ * @param {import('./paperSizes').PaperSize} paperSize
+ * @returns {number[]} inches
+ */
+export function getReferenceLineLengths(paperSize) {
+  const room = paperSize.width - TEST_SHEET_PADDING * 2 - TEST_SHEET_LABEL_WIDTH;
+  const lengths = REFERENCE_LINE_LENGTHS.filter((len) => len <= room);
+  return lengths.length ? lengths : REFERENCE_LINE_LENGTHS.slice(0, 1);
 }
 
 /**
  * Render a calibration test sheet into the print-layout container.
  * The test sheet has horizontal and vertical measurement lines at
  * known CSS-inch lengths so the user can compare against a physical
- * ruler and calculate a correction factor.
+ * ruler and calculate a correction factor, and an offset target
+ * `OFFSET_TARGET_INSET` from the right and top paper edges for measuring
+ * how far the printer shifts the page.
  *
  * @param {HTMLElement} container – the #print-layout div
+ * @param {import('./buttonSizes').ButtonSize[]} [sizes] – reference circles to draw (all sizes by default)
+ * @param {import('./paperSizes').PaperSize} [paperSize=US_LETTER]
  */
-export function renderTestSheet(container) {
+export function renderTestSheet(
+  container,
+  sizes = getAllButtonSizes().map(({ size }) => size),
+  paperSize = US_LETTER,
+) {
   container.innerHTML = '';
 
-  const cal = getCalibrationFactor();
+  const cal = getCalibrationFactors();
 
   const page = document.createElement('div');
   page.className = 'test-sheet-page';
+  page.style.width = paperSize.width + 'in';
+  page.style.height = paperSize.height + 'in';
 
   // Title
   const title = document.createElement('h1');
@@ -258,9 +487,10 @@ export function renderTestSheet(container) {
 
   const calNote = document.createElement('p');
   calNote.className = 'test-sheet-subtitle';
-  if (cal !== 1.0) {
+  if (cal.x !== 1.0 || cal.y !== 1.0) {
     calNote.textContent =
-      'Calibration active (factor: ' + cal.toFixed(4) + '×). Lines should now measure their labeled size.';
+      `Calibration active (horizontal ${cal.x.toFixed(4)}×, vertical ${cal.y.toFixed(4)}×). ` +
+      'Lines should now measure their labeled size.';
     calNote.style.fontWeight = '600';
     calNote.style.color = '#065f46';
   } else {
@@ -269,8 +499,24 @@ export function renderTestSheet(container) {
   }
   page.appendChild(calNote);
 
-  // Reference lines at 1", 2", 3", 4", 5", 6"
-  const lengths = [1, 2, 3, 4, 5, 6];
+  // Offset target, in the top-right corner clear of the other content.
+  // With an offset saved it is moved back like the buttons are.
+  const target = createRegistrationMark(
+    paperSize.width - OFFSET_TARGET_INSET - cal.offsetX,
+    OFFSET_TARGET_INSET - cal.offsetY,
+  );
+  target.classList.add('test-sheet-offset-target');
+  page.appendChild(target);
+
+  const targetLabel = document.createElement('div');
+  targetLabel.className = 'test-sheet-offset-label';
+  targetLabel.style.right = '0.5in';
+  targetLabel.style.top = (OFFSET_TARGET_INSET + REGISTRATION_MARK_SIZE) + 'in';
+  targetLabel.textContent = `Offset target (${OFFSET_TARGET_INSET}" from right & top edges)`;
+  page.appendChild(targetLabel);
+
+  // Reference lines at 1", 2", 3"... up to the longest that fits the paper
+  const lengths = getReferenceLineLengths(paperSize);
 
   // Horizontal lines section
   const hSection = document.createElement('div');
@@ -292,14 +538,14 @@ export function renderTestSheet(container) {
 
     const line = document.createElement('div');
     line.className = 'test-sheet-h-line';
-    line.style.width = (len * cal) + 'in';
+    line.style.width = (len * cal.x) + 'in';
 
     // Tick marks at each end
     const tickL = document.createElement('div');
     tickL.className = 'test-sheet-tick-v';
     const tickR = document.createElement('div');
     tickR.className = 'test-sheet-tick-v';
-    tickR.style.left = (len * cal) + 'in';
+    tickR.style.left = (len * cal.x) + 'in';
 
     lineWrap.appendChild(tickL);
     lineWrap.appendChild(line);
@@ -321,7 +567,7 @@ export function renderTestSheet(container) {
   const vContainer = document.createElement('div');
   vContainer.className = 'test-sheet-v-container';
 
-  lengths.slice(0, 3).forEach((len) => { // 1"-3" verticals to fit on one page
+  [1, 2, 3].forEach((len) => { // 1"-3" verticals to fit on one page
     const col = document.createElement('div');
     col.className = 'test-sheet-v-col';
 
@@ -334,14 +580,14 @@ export function renderTestSheet(container) {
 
     const line = document.createElement('div');
     line.className = 'test-sheet-v-line';
-    line.style.height = (len * cal) + 'in';
+    line.style.height = (len * cal.y) + 'in';
 
     // Tick marks at each end
     const tickT = document.createElement('div');
     tickT.className = 'test-sheet-tick-h';
     const tickB = document.createElement('div');
     tickB.className = 'test-sheet-tick-h';
-    tickB.style.top = (len * cal) + 'in';
+    tickB.style.top = (len * cal.y) + 'in';
 
     lineWrap.appendChild(tickT);
     lineWrap.appendChild(line);
@@ -362,12 +608,12 @@ export function renderTestSheet(container) {
 
   const box = document.createElement('div');
   box.className = 'test-sheet-box';
-  box.style.width = (2 * cal) + 'in';
-  box.style.height = (2 * cal) + 'in';
+  box.style.width = (2 * cal.x) + 'in';
+  box.style.height = (2 * cal.y) + 'in';
 
   boxSection.appendChild(box);
 
-  // Button size reference circles
+  // Button size reference shapes
   const circleSection = document.createElement('div');
   circleSection.className = 'test-sheet-section';
   const circleTitle = document.createElement('h2');
@@ -383,37 +629,39 @@ export function renderTestSheet(container) {
   const circleRow = document.createElement('div');
   circleRow.className = 'test-sheet-circle-row';
 
-  Object.values(BUTTON_SIZES).forEach((size) => {
+  sizes.forEach((size) => {
     const col = document.createElement('div');
     col.className = 'test-sheet-circle-col';
 
-    const cutDiameterIn = size.cutLineDiameter * cal;
-    const sizePx = inchesToPixels(cutDiameterIn);
+    const shape = getShape(size);
+    const guides = getGuideSizes(size);
+    const widthIn = guides.cut.width * cal.x;
+    const heightIn = guides.cut.height * cal.y;
 
     const c = document.createElement('canvas');
-    c.width = sizePx;
-    c.height = sizePx;
-    c.style.width = cutDiameterIn + 'in';
-    c.style.height = cutDiameterIn + 'in';
+    c.width = inchesToPixels(widthIn);
+    c.height = inchesToPixels(heightIn);
+    c.style.width = widthIn + 'in';
+    c.style.height = heightIn + 'in';
 
     const ctx = c.getContext('2d');
-    const cx = sizePx / 2;
-    const cy = sizePx / 2;
+    const cx = c.width / 2;
+    const cy = c.height / 2;
 
     const rings = [
-      { diameterIn: size.cutLineDiameter,      color: '#ef4444', dash: [] },
-      { diameterIn: size.buttonFaceDiameter,   color: '#3b82f6', dash: [6, 4] },
-      { diameterIn: size.contentGuideDiameter, color: '#22c55e', dash: [4, 3] },
+      { guide: guides.cut,     color: '#ef4444', dash: [] },
+      { guide: guides.face,    color: '#3b82f6', dash: [6, 4] },
+      { guide: guides.content, color: '#22c55e', dash: [4, 3] },
     ];
 
     rings.forEach((ring) => {
-      const radiusPx = inchesToPixels(ring.diameterIn * cal / 2);
       ctx.save();
       ctx.strokeStyle = ring.color;
       ctx.lineWidth = 1.5;
       ctx.setLineDash(ring.dash);
+      ctx.translate(cx, cy);
       ctx.beginPath();
-      ctx.arc(cx, cy, radiusPx, 0, Math.PI * 2);
+      traceShape(ctx, shape, inchesToPixels(ring.guide.width * cal.x), inchesToPixels(ring.guide.height * cal.y));
       ctx.stroke();
       ctx.restore();
     });
@@ -460,4 +708,5 @@ export function renderTestSheet(container) {
   page.appendChild(bottomRow);
 
   container.appendChild(page);
+  setPrintPageSize(paperSize);
 }
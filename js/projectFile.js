@@ -0,0 +1,260 @@
+/**
+ * Project File
+ *
+ * Saves the whole design session (every queued design with its embedded
+ * image and transform, the button size and the print options) to a JSON
+ * file, and opens it again.
+ *
+ * Files carry a schema version. When the format changes, bump
+ * PROJECT_VERSION and add a migration from the previous version to
+ * MIGRATIONS so older files keep opening.
+ */
+
+import { loadImageFromUrl } from './imageLoader.js';
+import { createTextLayer } from './textLayers.js';
+import { createImageLayer } from './imageLayers.js';
+import { NO_BACKGROUND } from './backgroundFill.js';
+import { NO_ADJUSTMENTS } from './imageAdjustments.js';
+
+export const PROJECT_FORMAT = 'button-maker-project';
+export const PROJECT_VERSION = 1;
+
+/**
+ * @typedef {Object} ProjectDesign
+ * @property {string} name
+ * @property {number | null} quantity
+ * @property {string} image    – data URL of the source image
+ * @property {number} scale
+ * @property {number} offsetX
+ * @property {number} offsetY
+ * @property {number} rotation
+ * @property {boolean} flipX
+ * @property {boolean} flipY
+ * @property {import('./backgroundFill').Background} [background]
+ * @property {import('./imageAdjustments').Adjustments} [adjustments]
+ * @property {ProjectImageLayer[]} [imageLayers] – bottom first
+ * @property {import('./textLayers').TextLayer[]} textLayers
+ * @property {import('./personalization').NameBatch | null} [batch]
+ */
+
+/**
+ * An image layer as saved, with its image as a data URL.
+ * @typedef {Object} ProjectImageLayer
+ * @property {string} name
+ * @property {string} image
+ * @property {number} scale
+ * @property {number} offsetX
+ * @property {number} offsetY
+ * @property {number} opacity
+ * @property {boolean} visible
+ */
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {number | null} count       – "Buttons to print" target
+ * @property {string} arrangement        – layout option id, or 'auto'
+ * @property {number} gap                – inches between cut circles
+ * @property {number} dpi
+ * @property {boolean} [registrationMarks] – print corner registration marks
+ */
+
+/**
+ * @typedef {Object} ProjectData
+ * @property {string} format
+ * @property {number} version
+ * @property {string} sizeKey
+ * @property {import('./buttonSizes').ButtonSize | null} customSize – definition when sizeKey is a custom size
+ * @property {'resize' | 'preview'} mode
+ * @property {number} activeIndex        – index of the design being edited
+ * @property {ProjectDesign[]} designs
+ * @property {PrintOptions} print
+ */
+
+/**
+ * Migrations keyed by the version they upgrade from. Each takes the data
+ * at that version and returns it at the next one.
+ * @type {Object<number, (data: object) => object>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Capture a session as project data (the object written to project files
+ * and to the autosave store).
+ *
+ * @param {Object} session
+ * @param {import('./designQueue').Design[]} session.designs
+ * @param {number | null} session.activeId
+ * @param {string} session.sizeKey
+ * @param {import('./buttonSizes').ButtonSize} session.buttonSize
+ * @param {'resize' | 'preview'} session.mode
+ * @param {PrintOptions} session.print
+ * @returns {ProjectData}
+ */
+export function createProjectData(session) {
+  const { designs, activeId, sizeKey, buttonSize, mode, print } = session;
+
+  /** @type {ProjectData} */
+  const data = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    sizeKey,
+    customSize: buttonSize.custom ? { ...buttonSize } : null,
+    mode,
+    activeIndex: Math.max(0, designs.findIndex((d) => d.id === activeId)),
+    designs: designs.map(({ name, quantity, batch, imageState }) => ({
+      name,
+      quantity,
+      batch: batch || null,
+      image: imageState.image.src,
+      scale: imageState.scale,
+      offsetX: imageState.offsetX,
+      offsetY: imageState.offsetY,
+      rotation: imageState.rotation || 0,
+      flipX: !!imageState.flipX,
+      flipY: !!imageState.flipY,
+      background: imageState.background || NO_BACKGROUND,
+      adjustments: imageState.adjustments || NO_ADJUSTMENTS,
+      imageLayers: (imageState.imageLayers || []).map((layer) => ({
+        name: layer.name,
+        image: layer.image.src,
+        scale: layer.scale,
+        offsetX: layer.offsetX,
+        offsetY: layer.offsetY,
+        opacity: layer.opacity,
+        visible: layer.visible,
+      })),
+      textLayers: imageState.textLayers || [],
+    })),
+    print,
+  };
+
+  return data;
+}
+
+/**
+ * Serialize a session to project file text.
+ * @param {Parameters<typeof createProjectData>[0]} session
+ * @returns {string}
+ */
+export function serializeProject(session) {
+  return JSON.stringify(createProjectData(session), null, 2);
+}
+
+/**
+ * Parse project file text, upgrading older versions to the current one.
+ * Throws an Error with a user-facing message when the file can't be used.
+ *
+ * @param {string} text
+ * @returns {ProjectData}
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a valid project file.');
+  }
+  return migrateProject(data);
+}
+
+/**
+ * Check project data and upgrade older versions to the current one.
+ * Throws an Error with a user-facing message when it can't be used.
+ *
+ * @param {object} data
+ * @returns {ProjectData}
+ */
+export function migrateProject(data) {
+  if (!data || data.format !== PROJECT_FORMAT || !Number.isInteger(data.version)) {
+    throw new Error('This file is not a Button Maker project.');
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new Error('This project was saved by a newer version of Button Maker. Please update and try again.');
+  }
+
+  while (data.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[data.version];
+    if (!migrate) {
+      throw new Error(`Project version ${data.version} can no longer be opened.`);
+    }
+    data = { ...migrate(data), version: data.version + 1 };
+  }
+
+  // Only embedded images: a remote URL would taint the canvas and make
+  // every later export or autosave throw
+  const isEmbedded = (image) => typeof image === 'string' && image.startsWith('data:image/');
+  const hasImages = (d) => isEmbedded(d.image) &&
+    (d.imageLayers || []).every((layer) => isEmbedded(layer.image));
+  if (!Array.isArray(data.designs) || !data.designs.every(hasImages)) {
+    throw new Error('The project file is missing its design images.');
+  }
+
+  return data;
+}
+
+/**
+ * Decode every design's embedded image and rebuild its image state
+ * (without a button size; the caller applies the current one).
+ *
+ * @param {ProjectData} data
+ * @returns {Promise<{ name: string, quantity: number | null, batch: import('./personalization').NameBatch | null,
+ *   imageState: import('./canvasController').ImageState }[]>}
+ */
+export async function loadProjectDesigns(data) {
+  return Promise.all(data.designs.map(async (design) => ({
+    name: design.name || 'Untitled',
+    quantity: design.quantity ?? null,
+    batch: design.batch && Array.isArray(design.batch.rows) ? { headers: [], ...design.batch } : null,
+    imageState: {
+      image: await loadImageFromUrl(design.image),
+      scale: positiveOr(design.scale, 1),
+      offsetX: finiteOr(design.offsetX, 0),
+      offsetY: finiteOr(design.offsetY, 0),
+      rotation: finiteOr(design.rotation, 0),
+      flipX: !!design.flipX,
+      flipY: !!design.flipY,
+      background: { ...NO_BACKGROUND, ...design.background },
+      adjustments: { ...NO_ADJUSTMENTS, ...design.adjustments },
+      imageLayers: await Promise.all((design.imageLayers || []).map(loadImageLayer)),
+      // Saved ids are kept (name batches refer to them); the id counter
+      // moves past them so layers added later get new ones
+      textLayers: (design.textLayers || []).map((layer) => createTextLayer(layer)),
+    },
+  })));
+}
+
+/**
+ * Decode a saved image layer.
+ * @param {ProjectImageLayer} layer
+ * @returns {Promise<import('./imageLayers').ImageLayer>}
+ */
+async function loadImageLayer(layer) {
+  return createImageLayer(await loadImageFromUrl(layer.image), {
+    name: layer.name || 'Layer',
+    scale: positiveOr(layer.scale, 1),
+    offsetX: finiteOr(layer.offsetX, 0),
+    offsetY: finiteOr(layer.offsetY, 0),
+    opacity: layer.opacity ?? 1,
+    visible: layer.visible !== false,
+  });
+}
+
+/**
+ * A saved number, or the fallback when it is missing or not finite.
+ * @param {number | undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * A saved scale, or the fallback when it is missing, zero or negative.
+ * @param {number | undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveOr(value, fallback) {
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
@@ -0,0 +1,179 @@
+/**
+ * Session Store
+ *
+ * Keeps the working session in IndexedDB so it survives closed tabs and
+ * browser crashes. localStorage (see settingsManager) is far too small for
+ * embedded images, so this store holds:
+ *
+ *   - the last autosaved session, as project data (see projectFile)
+ *   - a short list of recent designs with thumbnails
+ *
+ * Every function resolves to a harmless default (null, [] or false) when
+ * IndexedDB is unavailable or fails, so callers never need to catch.
+ */
+
+const DB_NAME = 'buttonMaker';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session';
+const RECENT_STORE = 'recentDesigns';
+const SESSION_KEY = 'current';
+
+/** Most recent designs kept for the picker */
+export const MAX_RECENT_DESIGNS = 8;
+
+/**
+ * @typedef {Object} SavedSession
+ * @property {number} savedAt – timestamp (ms)
+ * @property {import('./projectFile').ProjectData} project
+ */
+
+/**
+ * @typedef {Object} RecentDesign
+ * @property {string} key        – identifies the source image
+ * @property {string} name
+ * @property {number} savedAt    – timestamp (ms)
+ * @property {string} thumbnail  – small PNG data URL of the finished button
+ * @property {import('./projectFile').ProjectDesign} design
+ */
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB exists in this browser.
+ * @returns {boolean}
+ */
+export function isSessionStoreAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Store the current session, replacing the previous one.
+ * @param {import('./projectFile').ProjectData} project
+ * @returns {Promise<boolean>} true if saved successfully
+ */
+export async function saveSession(project) {
+  /** @type {SavedSession} */
+  const record = { savedAt: Date.now(), project };
+  return runRequest(SESSION_STORE, 'readwrite', (store) => store.put(record, SESSION_KEY))
+    .then(() => true, () => false);
+}
+
+/**
+ * Load the last autosaved session.
+ * @returns {Promise<SavedSession | null>}
+ */
+export async function loadSession() {
+  return runRequest(SESSION_STORE, 'readonly', (store) => store.get(SESSION_KEY))
+    .then((record) => record || null, () => null);
+}
+
+/**
+ * Forget the autosaved session.
+ * @returns {Promise<boolean>}
+ */
+export async function clearSession() {
+  return runRequest(SESSION_STORE, 'readwrite', (store) => store.delete(SESSION_KEY))
+    .then(() => true, () => false);
+}
+
+/**
+ * Add or refresh a recent design, then drop the oldest beyond
+ * MAX_RECENT_DESIGNS.
+ * @param {RecentDesign} recent
+ * @returns {Promise<boolean>}
+ */
+export async function saveRecentDesign(recent) {
+  try {
+    await runRequest(RECENT_STORE, 'readwrite', (store) => store.put(recent));
+    const all = await getRecentDesigns(Infinity);
+    await Promise.all(all.slice(MAX_RECENT_DESIGNS).map((old) =>
+      runRequest(RECENT_STORE, 'readwrite', (store) => store.delete(old.key))));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Recent designs, newest first.
+ * @param {number} [limit=MAX_RECENT_DESIGNS]
+ * @returns {Promise<RecentDesign[]>}
+ */
+export async function getRecentDesigns(limit = MAX_RECENT_DESIGNS) {
+  return runRequest(RECENT_STORE, 'readonly', (store) => store.getAll())
+    .then(
+      (all) => all.sort((a, b) => b.savedAt - a.savedAt).slice(0, limit),
+      () => [],
+    );
+}
+
+/**
+ * Key identifying a design's source image, so re-saving the same image
+ * refreshes its recent entry instead of adding another.
+ * @param {string} name
+ * @param {string} imageUrl
+ * @returns {string}
+ */
+export function recentDesignKey(name, imageUrl) {
+  return `${name}:${imageUrl.length}:${imageUrl.slice(-32)}`;
+}
+
+/* ============================================================
+   IndexedDB helpers
+   ============================================================ */
+
+/**
+ * Open (and on first use, create) the database once per page.
+ * @returns {Promise<IDBDatabase | null>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (!isSessionStoreAvailable()) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE);
+        }
+        if (!db.objectStoreNames.contains(RECENT_STORE)) {
+          db.createObjectStore(RECENT_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request in its own transaction and resolve with its result once
+ * the transaction completes.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ * @returns {Promise<any>}
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDb();
+  if (!db) {
+    throw new Error('IndexedDB is not available.');
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -2,10 +2,26 @@
  * Settings Manager
  *
  * Persists and retrieves user printer preferences from localStorage.
+ *
+ * Printer settings and calibration belong to named printer profiles. One
+ * profile is active at a time; the printer settings and calibration
+ * functions below read and write the active profile.
  */
 
-const STORAGE_KEY = 'buttonMaker_printerSettings';
-const CALIBRATION_KEY = 'buttonMaker_calibration';
+const PROFILES_KEY = 'buttonMaker_printerProfiles';
+const CUSTOM_SIZES_KEY = 'buttonMaker_customSizes';
+
+// Single-printer records from before profiles; migrated into the first profile
+const LEGACY_SETTINGS_KEY = 'buttonMaker_printerSettings';
+const LEGACY_CALIBRATION_KEY = 'buttonMaker_calibration';
+
+const DEFAULT_PROFILE_NAME = 'My printer';
+
+/**
+ * The profile used when there is no storage to keep profiles in
+ * @type {PrinterProfile | null}
+ */
+let fallbackProfile = null;
 
 /**
  * Check whether localStorage is available and writable.
@@ -23,22 +39,129 @@ export function isStorageAvailable() {
 }
 
 /**
- * Save printer settings to localStorage.
+ * Save printer settings to the active printer profile.
  *
  * @param {PrinterSettings} settings
  * @returns {boolean} true if saved successfully
  *
  * @typedef {Object} PrinterSettings
  * @property {string}  [printerName]
- * @property {string}  paperSize
+ * @property {string}  paperSize   – key into PAPER_SIZES, or 'custom'
+ * @property {number}  [paperWidth]  – inches
+ * @property {number}  [paperHeight] – inches
  * @property {number}  scale
- * @property {string}  margins
+ * @property {import('./paperSizes').Margins} margins – inches
+ * @property {number}  [dpi]
  * @property {string}  [notes]
  */
 export function savePrinterSettings(settings) {
+  const store = loadProfileStore();
+  const profile = findProfile(store, store.activeId);
+  const { id, calibration } = profile;
+  Object.assign(profile, settings, { id, calibration });
+  if (!profile.printerName) profile.printerName = DEFAULT_PROFILE_NAME;
+  return saveProfileStore(store);
+}
+
+/**
+ * Load the active printer profile's settings.
+ * @returns {PrinterSettings | null}
+ */
+export function loadPrinterSettings() {
+  if (!isStorageAvailable()) return null;
+  const { id, calibration, ...settings } = getActiveProfile();
+  return settings;
+}
+
+/* ============================================================
+   Printer profiles
+   ============================================================ */
+
+/**
+ * A named printer: its settings plus the calibration measured on it.
+ * The profile's name is its `printerName`.
+ *
+ * @typedef {PrinterSettings & { id: string, calibration: CalibrationData | null }} PrinterProfile
+ */
+
+/**
+ * @typedef {Object} ProfileStore
+ * @property {string} activeId
+ * @property {PrinterProfile[]} profiles
+ */
+
+/**
+ * All printer profiles, in creation order.
+ * @returns {PrinterProfile[]}
+ */
+export function getPrinterProfiles() {
+  return loadProfileStore().profiles;
+}
+
+/**
+ * The profile whose settings and calibration are in use.
+ * @returns {PrinterProfile}
+ */
+export function getActiveProfile() {
+  const store = loadProfileStore();
+  return findProfile(store, store.activeId);
+}
+
+/**
+ * Make a profile the active one.
+ * @param {string} id
+ * @returns {boolean} true if saved successfully
+ */
+export function setActiveProfile(id) {
+  const store = loadProfileStore();
+  if (!store.profiles.some((p) => p.id === id)) return false;
+  store.activeId = id;
+  return saveProfileStore(store);
+}
+
+/**
+ * Create a profile with default settings and no calibration, and make it
+ * active.
+ * @param {string} name
+ * @returns {PrinterProfile | null} the new profile, or null if it couldn't be saved
+ */
+export function createPrinterProfile(name) {
+  const store = loadProfileStore();
+  const profile = createProfile(name);
+  store.profiles.push(profile);
+  store.activeId = profile.id;
+  return saveProfileStore(store) ? profile : null;
+}
+
+/**
+ * Delete a profile. The last remaining profile can't be deleted; when the
+ * active one is deleted, the first remaining profile becomes active.
+ * @param {string} id
+ * @returns {boolean} true if deleted
+ */
+export function deletePrinterProfile(id) {
+  const store = loadProfileStore();
+  if (store.profiles.length <= 1) return false;
+  const profiles = store.profiles.filter((p) => p.id !== id);
+  if (profiles.length === store.profiles.length) return false;
+  store.profiles = profiles;
+  if (store.activeId === id) store.activeId = profiles[0].id;
+  return saveProfileStore(store);
+}
+
+/* ============================================================
+   Custom button sizes
+   ============================================================ */
+
+/**
+ * Save user-defined button sizes to localStorage.
+ * @param {Object<string, import('./buttonSizes').ButtonSize>} sizes – keyed by custom size key
+ * @returns {boolean}
+ */
+export function saveCustomSizes(sizes) {
   if (!isStorageAvailable()) return false;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    localStorage.setItem(CUSTOM_SIZES_KEY, JSON.stringify(sizes));
     return true;
   } catch {
     return false;
@@ -46,17 +169,17 @@ export function savePrinterSettings(settings) {
 }
 
 /**
- * Load previously saved printer settings.
- * @returns {PrinterSettings | null}
+ * Load user-defined button sizes.
+ * @returns {Object<string, import('./buttonSizes').ButtonSize>}
  */
-export function loadPrinterSettings() {
-  if (!isStorageAvailable()) return null;
+export function loadCustomSizes() {
+  if (!isStorageAvailable()) return {};
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
+    const raw = localStorage.getItem(CUSTOM_SIZES_KEY);
+    if (!raw) return {};
+    return JSON.parse(raw) || {};
   } catch {
-    return null;
+    return {};
   }
 }
 
@@ -66,49 +189,123 @@ export function loadPrinterSettings() {
 
 /**
  * @typedef {Object} CalibrationData
- * @property {number} expectedInches – the target reference length on the test sheet
- * @property {number} measuredInches – what the user actually measured with a ruler
- * @property {number} scaleFactor    – computed correction: expected / measured
+ * @property {number} expectedX      – length of the horizontal reference line on the test sheet
+ * @property {number} measuredX      – what the user measured for it with a ruler
+ * @property {number} scaleFactorX   – horizontal correction: expectedX / measuredX
+ * @property {number | null} expectedY    – length of the vertical reference line
+ * @property {number | null} measuredY    – what the user measured for it, or null if not measured
+ * @property {number} scaleFactorY   – vertical correction (same as X when Y wasn't measured)
+ * @property {number} [offsetTarget]   – distance of the offset target from the right and top paper edges
+ * @property {number | null} [measuredRight] – measured distance from the target to the right edge
+ * @property {number | null} [measuredTop]   – measured distance from the target to the top edge
+ * @property {number} [offsetX]        – how far right the printer shifts the page, inches
+ * @property {number} [offsetY]        – how far down the printer shifts the page, inches
  */
 
 /**
- * Save calibration data to localStorage.
+ * Save calibration data to the active printer profile.
  * @param {CalibrationData} calibration
  * @returns {boolean}
  */
 export function saveCalibration(calibration) {
-  if (!isStorageAvailable()) return false;
-  try {
-    localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration));
-    return true;
-  } catch {
-    return false;
-  }
+  const store = loadProfileStore();
+  findProfile(store, store.activeId).calibration = calibration;
+  return saveProfileStore(store);
 }
 
 /**
- * Load calibration data from localStorage.
+ * Load the active printer profile's calibration data.
  * @returns {CalibrationData | null}
  */
 export function loadCalibration() {
-  if (!isStorageAvailable()) return null;
-  try {
-    const raw = localStorage.getItem(CALIBRATION_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+  return getActiveProfile().calibration;
 }
 
 /**
- * Clear saved calibration data.
+ * Clear the active printer profile's calibration data.
  * @returns {boolean}
  */
 export function clearCalibration() {
+  return saveCalibration(null);
+}
+
+/**
+ * Get the active printer's calibration correction for each axis and its
+ * page offset. Returns 1.0 on both axes and no offset if no calibration
+ * has been performed.
+ * @returns {import('./measurementConverter').Calibration}
+ */
+export function getCalibrationFactors() {
+  const cal = loadCalibration();
+  const valid = (f) => f > 0 && isFinite(f);
+  const shift = (d) => (Number.isFinite(d) ? d : 0);
+  if (!cal || !valid(cal.scaleFactorX)) return { x: 1.0, y: 1.0, offsetX: 0, offsetY: 0 };
+  return {
+    x: cal.scaleFactorX,
+    y: valid(cal.scaleFactorY) ? cal.scaleFactorY : cal.scaleFactorX,
+    offsetX: shift(cal.offsetX),
+    offsetY: shift(cal.offsetY),
+  };
+}
+
+/**
+ * Records saved before two-axis calibration hold a single horizontal
+ * measurement; it applied to both axes, so it still does.
+ * @param {object} data
+ * @returns {CalibrationData | null}
+ */
+function upgradeCalibration(data) {
+  if (!data) return null;
+  if (data.scaleFactorX === undefined && data.scaleFactor !== undefined) {
+    return {
+      expectedX: data.expectedInches,
+      measuredX: data.measuredInches,
+      scaleFactorX: data.scaleFactor,
+      expectedY: null,
+      measuredY: null,
+      scaleFactorY: data.scaleFactor,
+    };
+  }
+  return data;
+}
+
+/* ============================================================
+   Profile storage
+   ============================================================ */
+
+/**
+ * Read the profile store. On first use it is created from the
+ * single-printer settings and calibration saved by older versions; with
+ * no storage it is a single default profile.
+ * @returns {ProfileStore}
+ */
+function loadProfileStore() {
+  if (isStorageAvailable()) {
+    try {
+      const raw = localStorage.getItem(PROFILES_KEY);
+      const store = raw ? JSON.parse(raw) : null;
+      if (store && Array.isArray(store.profiles) && store.profiles.length > 0) {
+        store.profiles.forEach((p) => { p.calibration = upgradeCalibration(p.calibration); });
+        return store;
+      }
+      return migrateLegacySettings();
+    } catch {
+      // Fall through to a default profile
+    }
+  }
+  // Built once, so its id is the same on every read this session
+  if (!fallbackProfile) fallbackProfile = createProfile(DEFAULT_PROFILE_NAME);
+  return { activeId: fallbackProfile.id, profiles: [{ ...fallbackProfile }] };
+}
+
+/**
+ * @param {ProfileStore} store
+ * @returns {boolean} true if saved successfully
+ */
+function saveProfileStore(store) {
   if (!isStorageAvailable()) return false;
   try {
-    localStorage.removeItem(CALIBRATION_KEY);
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
     return true;
   } catch {
     return false;
@@ -116,12 +313,56 @@ export function clearCalibration() {
 }
 
 /**
- * Get the current calibration scale factor.
- * Returns 1.0 if no calibration has been performed.
- * @returns {number}
+ * Build the first profile from the pre-profile records. They are left in
+ * place, so nothing is lost if the new store can't be written.
+ * @returns {ProfileStore}
  */
-export function getCalibrationFactor() {
-  const cal = loadCalibration();
-  if (!cal || !cal.scaleFactor || !isFinite(cal.scaleFactor)) return 1.0;
-  return cal.scaleFactor;
+function migrateLegacySettings() {
+  const parse = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch {
+      return null;
+    }
+  };
+  const settings = parse(LEGACY_SETTINGS_KEY) || {};
+  const calibration = upgradeCalibration(parse(LEGACY_CALIBRATION_KEY));
+
+  const profile = {
+    ...createProfile(settings.printerName || DEFAULT_PROFILE_NAME),
+    ...settings,
+    calibration,
+  };
+  profile.printerName = profile.printerName || DEFAULT_PROFILE_NAME;
+
+  const store = { activeId: profile.id, profiles: [profile] };
+  saveProfileStore(store);
+  return store;
+}
+
+/**
+ * A profile with default settings and no calibration.
+ * @param {string} name
+ * @returns {PrinterProfile}
+ */
+function createProfile(name) {
+  return {
+    id: 'printer-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    printerName: name.trim() || DEFAULT_PROFILE_NAME,
+    paperSize: 'letter',
+    scale: 100,
+    margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+    notes: '',
+    calibration: null,
+  };
+}
+
+/**
+ * The profile with an id, falling back to the first one if it's missing.
+ * @param {ProfileStore} store
+ * @param {string} id
+ * @returns {PrinterProfile}
+ */
+function findProfile(store, id) {
+  return store.profiles.find((p) => p.id === id) || store.profiles[0];
 }
@@ -0,0 +1,296 @@
+/**
+ * Text Layers
+ *
+ * Text drawn on top of a button design: straight text that can be placed
+ * anywhere, or text curved along a circle just inside the content guide.
+ *
+ * Layer geometry is in CSS pixels relative to the button centre (the same
+ * units as the image offsets), so the editor canvas and the print renderer
+ * place text identically. Font sizes are in points.
+ */
+
+import { inchesToPixels, PIXELS_PER_INCH } from './measurementConverter.js';
+import { getShape, getGuideSizes, isInsideShape } from './buttonShapes.js';
+
+const POINTS_PER_INCH = 72;
+
+/** Font choices offered in the text editor. */
+export const TEXT_FONTS = [
+  { value: 'Helvetica, Arial, sans-serif', label: 'Sans-serif' },
+  { value: 'Georgia, "Times New Roman", serif', label: 'Serif' },
+  { value: 'Impact, "Arial Black", sans-serif', label: 'Impact' },
+  { value: '"Comic Sans MS", "Comic Neue", cursive', label: 'Casual' },
+  { value: '"Courier New", monospace', label: 'Monospace' },
+];
+
+/**
+ * @typedef {Object} TextLayer
+ * @property {number}  id
+ * @property {string}  text
+ * @property {string}  fontFamily
+ * @property {number}  fontSize    – points
+ * @property {boolean} bold
+ * @property {string}  color
+ * @property {string}  strokeColor
+ * @property {number}  strokeWidth – outline width in CSS pixels, 0 for none
+ * @property {'straight' | 'arc-top' | 'arc-bottom'} placement
+ * @property {number}  x           – straight text: centre offset from the button centre
+ * @property {number}  y
+ * @property {number}  angle       – curved text: degrees clockwise from the top (or bottom) centre
+ */
+
+let nextId = 1;
+
+/**
+ * Create a text layer with sensible defaults.
+ * @param {Partial<TextLayer>} [props]
+ * @returns {TextLayer}
+ */
+export function createTextLayer(props = {}) {
+  const layer = {
+    id: nextId,
+    text: 'Your text',
+    fontFamily: TEXT_FONTS[0].value,
+    fontSize: 14,
+    bold: true,
+    color: '#ffffff',
+    strokeColor: '#000000',
+    strokeWidth: 2,
+    placement: 'straight',
+    x: 0,
+    y: 0,
+    angle: 0,
+    ...props,
+  };
+  // Keep ids unique when layers are restored with ids of their own
+  nextId = Math.max(nextId, layer.id) + 1;
+  return layer;
+}
+
+/**
+ * Draw a text layer. The context origin must be the button centre.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ */
+export function drawTextLayer(ctx, layer, buttonSize) {
+  if (!layer.text) return;
+
+  ctx.save();
+  applyTextStyle(ctx, layer);
+
+  if (layer.placement === 'straight') {
+    paintText(ctx, layer, layer.text, layer.x, layer.y);
+  } else {
+    getGlyphPlacements(ctx, layer, buttonSize).forEach((glyph) => {
+      ctx.save();
+      ctx.translate(glyph.x, glyph.y);
+      ctx.rotate(glyph.rotation);
+      paintText(ctx, layer, glyph.char, 0, 0);
+      ctx.restore();
+    });
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Trace the layer's outline (a box for straight text, a band along the
+ * circle for curved text) as the current path, for selection highlights.
+ * The context origin must be the button centre.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ */
+export function traceTextLayerOutline(ctx, layer, buttonSize) {
+  ctx.save();
+  applyTextStyle(ctx, layer);
+  const height = textHeight(layer);
+  const width = ctx.measureText(layer.text).width + layer.strokeWidth * 2;
+  ctx.restore();
+
+  ctx.beginPath();
+  if (layer.placement === 'straight') {
+    ctx.rect(layer.x - width / 2, layer.y - height / 2, width, height);
+    return;
+  }
+
+  const radius = getArcRadius(layer, buttonSize);
+  const centre = arcCentreAngle(layer);
+  const half = width / radius / 2;
+  // Canvas angles run clockwise from +x; ours run clockwise from the top.
+  const start = centre - half - Math.PI / 2;
+  const end = centre + half - Math.PI / 2;
+  ctx.arc(0, 0, radius + height / 2, start, end);
+  ctx.arc(0, 0, Math.max(0, radius - height / 2), end, start, true);
+  ctx.closePath();
+}
+
+/**
+ * Corner points of every glyph box, in button-centre coordinates.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @returns {{ x: number, y: number }[][]} one quad per box
+ */
+export function getTextLayerQuads(ctx, layer, buttonSize) {
+  if (!layer.text) return [];
+
+  ctx.save();
+  applyTextStyle(ctx, layer);
+  const halfH = textHeight(layer) / 2;
+
+  let quads;
+  if (layer.placement === 'straight') {
+    const halfW = ctx.measureText(layer.text).width / 2 + layer.strokeWidth;
+    quads = [boxQuad(layer.x, layer.y, halfW, halfH, 0)];
+  } else {
+    quads = getGlyphPlacements(ctx, layer, buttonSize).map((glyph) =>
+      boxQuad(glyph.x, glyph.y, glyph.width / 2 + layer.strokeWidth, halfH, glyph.rotation));
+  }
+
+  ctx.restore();
+  return quads;
+}
+
+/**
+ * Whether any part of the layer lies outside the content guide.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @returns {boolean}
+ */
+export function isTextOutsideContentGuide(ctx, layer, buttonSize) {
+  const shape = getShape(buttonSize);
+  const { content } = getGuideSizes(buttonSize);
+  // Half a pixel of slack, so text placed on the guide doesn't count
+  const width = inchesToPixels(content.width) + 1;
+  const height = inchesToPixels(content.height) + 1;
+  return getTextLayerQuads(ctx, layer, buttonSize)
+    .some((quad) => quad.some((p) => !isInsideShape(shape, width, height, p.x, p.y)));
+}
+
+/**
+ * Whether a point (button-centre coordinates) falls on the layer.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function hitTestTextLayer(ctx, layer, buttonSize, x, y) {
+  return getTextLayerQuads(ctx, layer, buttonSize).some((quad) => pointInQuad(quad, x, y));
+}
+
+/**
+ * Radius of the circle curved text follows: just inside the content guide
+ * (its narrower side, for shapes other than circles), so the default
+ * placement never crosses it (except at the notch of a heart).
+ *
+ * @param {TextLayer} layer
+ * @param {import('./buttonSizes').ButtonSize} buttonSize
+ * @returns {number} CSS pixels
+ */
+export function getArcRadius(layer, buttonSize) {
+  const { content } = getGuideSizes(buttonSize);
+  const contentRadius = inchesToPixels(Math.min(content.width, content.height) / 2);
+  return Math.max(1, contentRadius - textHeight(layer) / 2 - layer.strokeWidth);
+}
+
+/* --------------------------------------------------------
+   Internal helpers
+   -------------------------------------------------------- */
+
+function fontSizePx(layer) {
+  return layer.fontSize * PIXELS_PER_INCH / POINTS_PER_INCH;
+}
+
+function textHeight(layer) {
+  return fontSizePx(layer) + layer.strokeWidth * 2;
+}
+
+function applyTextStyle(ctx, layer) {
+  ctx.font = `${layer.bold ? 'bold ' : ''}${fontSizePx(layer)}px ${layer.fontFamily}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+}
+
+/**
+ * Fill text over its outline. The stroke is drawn first at twice the
+ * width so the fill covers its inner half and the outline reads as
+ * `strokeWidth` wide.
+ */
+function paintText(ctx, layer, text, x, y) {
+  if (layer.strokeWidth > 0) {
+    ctx.strokeStyle = layer.strokeColor;
+    ctx.lineWidth = layer.strokeWidth * 2;
+    ctx.strokeText(text, x, y);
+  }
+  ctx.fillStyle = layer.color;
+  ctx.fillText(text, x, y);
+}
+
+/** Centre angle of curved text in radians, clockwise from the top. */
+function arcCentreAngle(layer) {
+  const base = layer.placement === 'arc-bottom' ? 180 : 0;
+  return (base + layer.angle) * Math.PI / 180;
+}
+
+/**
+ * Position and rotation of each character of curved text. Top text reads
+ * clockwise with letters pointing outward; bottom text reads
+ * counter-clockwise so its letters stay upright.
+ */
+function getGlyphPlacements(ctx, layer, buttonSize) {
+  const radius = getArcRadius(layer, buttonSize);
+  const chars = [...layer.text];
+  const widths = chars.map((char) => ctx.measureText(char).width);
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const top = layer.placement === 'arc-top';
+  const centre = arcCentreAngle(layer);
+
+  let run = 0;
+  return chars.map((char, i) => {
+    const along = (run + widths[i] / 2 - total / 2) / radius;
+    run += widths[i];
+    const angle = top ? centre + along : centre - along;
+    return {
+      char,
+      width: widths[i],
+      x: Math.sin(angle) * radius,
+      y: -Math.cos(angle) * radius,
+      rotation: top ? angle : angle + Math.PI,
+    };
+  });
+}
+
+function boxQuad(cx, cy, halfW, halfH, rotation) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].map(([dx, dy]) => ({
+    x: cx + dx * cos - dy * sin,
+    y: cy + dx * sin + dy * cos,
+  }));
+}
+
+/** Point-in-convex-quad test: the point is on the same side of every edge. */
+function pointInQuad(quad, x, y) {
+  let sign = 0;
+  for (let i = 0; i < quad.length; i++) {
+    const a = quad[i];
+    const b = quad[(i + 1) % quad.length];
+    const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+    if (cross !== 0) {
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
+    }
+  }
+  return true;
+}